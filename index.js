@@ -19,11 +19,20 @@
  * @private
  */
 
+const accepts = require('accepts')
+const createDevelopmentDocument = require('./lib/development')
+const createRedactor = require('./lib/redact')
+const createMetrics = require('./lib/metrics')
+const crypto = require('crypto')
 const debug = require('xprezzo-debug')('xprezzo:finalhandler')
+const diagnostics = require('./lib/diagnostics')
 const encodeUrl = require('encodeurl')
 const escapeHtml = require('escape-html')
+const fs = require('fs')
+const http2 = require('./lib/http2')
 const onFinished = require('xprezzo-on-finished')
 const parseUrl = require('parseurl')
+const path = require('path')
 const statuses = require('statuses')
 const unpipe = require('xprezzo-stream-unpipe')
 
@@ -33,6 +42,13 @@ const unpipe = require('xprezzo-stream-unpipe')
  */
 let DOUBLE_SPACE_REGEXP = /\x20{2}/g
 let NEWLINE_REGEXP = /\n/g
+const CONTENT_TYPE_HEADER_REGEXP = /^content-type:[\t ]*([^\r\n]*)$/im
+const NDJSON_TYPE_REGEXP = /^\s*application\/(?:x-)?ndjson\s*(?:;|$)/i
+const SSE_TYPE_REGEXP = /^\s*text\/event-stream\s*(?:;|$)/i
+const HEADER_NAME_REGEXP = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+const INVALID_HEADER_VALUE_REGEXP = /[^\t\x20-\x7e\x80-\xff]/
+const PROBLEM_TYPE_REGEXP = /^(?:[A-Za-z][A-Za-z0-9+.-]*:|\/)/
+const REQUEST_ID_REGEXP = /^[\w.:@/+=-]{1,128}$/
 
 /* istanbul ignore next */
 let defer = typeof setImmediate === 'function'
@@ -41,277 +57,2213 @@ let defer = typeof setImmediate === 'function'
 let isFinished = onFinished.isFinished
 
 /**
- * Create a minimal HTML document.
- *
- * @param {string} message
+ * Cache of error page files, by absolute path.
  * @private
  */
-const createHtmlDocument = (message) => {
-  let body = escapeHtml(message)
-    .replace(NEWLINE_REGEXP, '<br>')
-    .replace(DOUBLE_SPACE_REGEXP, ' &nbsp;')
+const pageCache = Object.create(null)
 
-  return '<!DOCTYPE html>\n' +
-    '<html lang="en">\n' +
-    '<head>\n' +
-    '<meta charset="utf-8">\n' +
-    '<title>Error</title>\n' +
-    '</head>\n' +
-    '<body>\n' +
-    '<pre>' + body + '</pre>\n' +
-    '</body>\n' +
-    '</html>\n'
+/**
+ * Maximum depth of nested causes and aggregated errors to include.
+ * @private
+ */
+const MAX_ERROR_DEPTH = 8
+
+/**
+ * Built-in mappings of errors to status codes.
+ * @private
+ */
+const ERROR_MAPPINGS = [
+  { code: 'ENOENT', status: 404 },
+  { code: 'ENOTDIR', status: 404 },
+  { code: 'EACCES', status: 403 },
+  { code: 'EPERM', status: 403 },
+  { code: 'EPAYLOADTOOLARGE', status: 413 },
+  { code: 'ECONNREFUSED', status: 502 },
+  { code: 'ECONNRESET', status: 502 },
+  { code: 'ETIMEDOUT', status: 504 },
+  { type: 'entity.parse.failed', status: 400 },
+  { type: 'entity.too.large', status: 413 },
+  { type: 'encoding.unsupported', status: 415 },
+  { type: 'charset.unsupported', status: 415 }
+]
+
+/**
+ * Registered mappings of errors to status codes, newest first.
+ * @private
+ */
+const errorMappings = []
+
+/**
+ * Headers errors may not set by default, as they would break the
+ * response or set state on the client.
+ * @private
+ */
+const DENIED_ERROR_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'content-type',
+  'keep-alive',
+  'set-cookie',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+]
+
+/**
+ * Default maximum time to wait for the onerror callback, in
+ * milliseconds.
+ * @private
+ */
+const AWAIT_ONERROR_TIMEOUT = 5000
+
+/**
+ * Default options for request IDs.
+ * @private
+ */
+const REQUEST_ID = {
+  header: 'X-Request-Id',
+  generate: () => crypto.randomBytes(12).toString('hex')
 }
 
 /**
- * Get headers from Error object.
- *
- * @param {Error} err
- * @return {object}
+ * Default limits of draining the request body.
  * @private
  */
- const getErrorHeaders = (err) => {
-  if (!err.headers || typeof err.headers !== 'object') {
-    return undefined
-  }
+const DRAIN = {
+  limit: Infinity,
+  timeout: Infinity
+}
 
-  let headers = Object.create(null)
-  let keys = Object.keys(err.headers)
+/**
+ * Maximum delay of `setTimeout`, in milliseconds.
+ * @private
+ */
+const MAX_TIMEOUT = 2147483647
 
-  for (let i = 0; i < keys.length; i++) {
-    let key = keys[i]
-    headers[key] = err.headers[key]
+/**
+ * Default policy for exposing error messages, by status class.
+ * @private
+ */
+const EXPOSE = {
+  '4xx': true,
+  '5xx': false
+}
+
+/**
+ * Modes of handling repeated calls of the final handler.
+ * @private
+ */
+const DUPLICATE_CALL_MODES = ['ignore', 'report', 'strict']
+
+/**
+ * Strategies to terminate a response when headers are already sent.
+ * @private
+ */
+const HEADERS_SENT_STRATEGIES = ['destroy', 'end', 'trailer']
+
+/**
+ * Presets of security headers, with the directives of the
+ * `Content-Security-Policy` header.
+ * @private
+ */
+const SECURITY_HEADERS = {
+  compatible: {
+    contentSecurityPolicy: {
+      'default-src': ["'none'"]
+    },
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin-allow-popups',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'SAMEORIGIN'
+    }
+  },
+  strict: {
+    contentSecurityPolicy: {
+      'default-src': ["'none'"]
+    },
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Resource-Policy': 'same-origin',
+      'Referrer-Policy': 'no-referrer',
+      'Strict-Transport-Security': 'max-age=31536000',
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY'
+    }
   }
+}
 
-  return headers
+/**
+ * Headers of the original representation to remove from responses.
+ * @private
+ */
+const STALE_HEADERS = [
+  'Cache-Control',
+  'Content-Disposition',
+  'Content-Encoding',
+  'ETag',
+  'Last-Modified'
+]
+
+/**
+ * Response body formats, in default order of preference.
+ * @private
+ */
+const TYPES = ['html', 'json', 'text']
+
+/**
+ * Content types of the response body formats.
+ * @private
+ */
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  problem: 'application/problem+json; charset=utf-8',
+  text: 'text/plain; charset=utf-8'
 }
 
 /**
- * Get message from Error object, fallback to status message.
+ * Media types to negotiate for the response body formats.
+ * @private
+ */
+const MEDIA_TYPES = {
+  html: ['text/html'],
+  json: ['application/json'],
+  problem: ['application/problem+json', 'application/json'],
+  text: ['text/plain']
+}
+
+/**
+ * Invoke the onerror callback, which may return a promise.
  *
+ * The callback is invoked with the settled value of the onerror
+ * callback. Errors thrown or rejected by the onerror callback are
+ * reported through debug, instead of becoming uncaught.
+ *
+ * @param {function} onerror
  * @param {Error} err
- * @param {number} status
- * @param {string} env
- * @return {string}
+ * @param {IncomingMessage} req
+ * @param {OutgoingMessage} res
+ * @param {object} info
+ * @param {function} callback
  * @private
  */
-const getErrorMessage = (err, status, env) => {
-  let msg
+const callOnerror = (onerror, err, req, res, info, callback) => {
+  let result
 
-  if (env !== 'production') {
-    // use err.stack, which typically includes err.message
-    msg = err.stack
+  try {
+    result = onerror(err, req, res, info)
+  } catch (e) {
+    debug('onerror threw %s', e)
+    callback()
+    return
+  }
 
-    // fallback to err.toString() when possible
-    if (!msg && typeof err.toString === 'function') {
-      msg = err.toString()
-    }
+  if (!result || typeof result.then !== 'function') {
+    callback(result)
+    return
   }
 
-  return msg || statuses.message[status] || String(status)
+  result.then((value) => {
+    defer(callback, value)
+  }, (e) => {
+    debug('onerror rejected %s', e)
+    defer(callback)
+  })
 }
 
 /**
- * Get status code from Error object.
+ * Create the response body in the negotiated format.
  *
- * @param {Error} err
- * @return {number}
+ * @param {object} context
+ * @return {string}
  * @private
  */
-const getErrorStatusCode = (err) => {
-  // check err.status
-  if (typeof err.status === 'number' && err.status >= 400 && err.status < 600) {
-    return err.status
+const createDocument = (context) => {
+  switch (context.type) {
+    case 'json':
+      return createJsonDocument(context)
+    case 'problem':
+      return createProblemDocument(context)
+    case 'text':
+      return getDocumentMessage(context)
+    default:
+      return createHtmlDocument(getDocumentMessage(context))
   }
+}
 
-  // check err.statusCode
-  if (typeof err.statusCode === 'number' && err.statusCode >= 400 && err.statusCode < 600) {
-    return err.statusCode
-  }
+/**
+ * Create the error for a repeated call of the final handler.
+ *
+ * The errors of the first and repeated calls, if any, are in
+ * `err.errors`.
+ *
+ * @param {Error} [first]
+ * @param {Error} [second]
+ * @return {Error}
+ * @private
+ */
+const createDuplicateCallError = (first, second) => {
+  const err = new Error('final handler called more than once')
 
-  return undefined
+  err.code = 'ERR_FINALHANDLER_DUPLICATE_CALL'
+  err.errors = [first, second].filter(Boolean)
+
+  return err
 }
 
 /**
- * Get resource name for the request.
+ * Create a minimal HTML document.
  *
- * This is typically just the original pathname of the request
- * but will fallback to "resource" is that cannot be determined.
+ * @param {string} message
+ * @return {string}
+ * @public
+ */
+const createHtmlDocument = (message) => {
+  let body = escapeHtml(message)
+    .replace(NEWLINE_REGEXP, '<br>')
+    .replace(DOUBLE_SPACE_REGEXP, ' &nbsp;')
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="en">\n' +
+    '<head>\n' +
+    '<meta charset="utf-8">\n' +
+    '<title>Error</title>\n' +
+    '</head>\n' +
+    '<body>\n' +
+    '<pre>' + body + '</pre>\n' +
+    '</body>\n' +
+    '</html>\n'
+}
+
+/**
+ * Create a JSON document.
  *
- * @param {IncomingMessage} req
+ * @param {object} context
  * @return {string}
  * @private
  */
-const getResourceName = (req) => {
-  try {
-    return parseUrl.original(req).pathname
-  } catch (e) {
-    return 'resource'
-  }
+const createJsonDocument = (context) => {
+  return JSON.stringify({
+    status: context.status,
+    message: context.message,
+    requestId: context.requestId,
+    retryAfter: context.retryAfter
+  })
 }
 
 /**
- * Get status code from response.
+ * Create a RFC 9457 problem details document.
  *
- * @param {OutgoingMessage} res
- * @return {number}
+ * An `err.type` URI reference is the problem type, while any other
+ * `err.type`, like the tags of body-parser errors, is an `errorType`
+ * member. Members of an `err.extensions` object are added to the
+ * document when they do not collide with the standard members.
+ *
+ * @param {object} context
+ * @return {string}
  * @private
  */
-const getResponseStatusCode = (res) => {
-  let status = res.statusCode
+const createProblemDocument = (context) => {
+  const err = context.err
+  const status = context.status
+  const type = err && typeof err.type === 'string' ? err.type : undefined
+  const uri = type !== undefined && PROBLEM_TYPE_REGEXP.test(type)
+  const doc = {
+    type: uri ? type : 'about:blank',
+    title: statuses.message[status] || String(status),
+    status: status,
+    detail: context.message,
+    instance: context.redact.text(encodeUrl(getResourceName(context.req))),
+    requestId: context.requestId,
+    retryAfter: context.retryAfter,
+    errorType: uri ? undefined : type
+  }
 
-  // default status code to 500 if outside valid range
-  if (typeof status !== 'number' || status < 400 || status > 599) {
-    status = 500
+  if (err && err.extensions && typeof err.extensions === 'object') {
+    const keys = Object.keys(err.extensions)
+
+    for (let i = 0; i < keys.length; i++) {
+      if (!Object.prototype.hasOwnProperty.call(doc, keys[i])) {
+        doc[keys[i]] = err.extensions[keys[i]]
+      }
+    }
   }
 
-  return status
+  return JSON.stringify(doc)
 }
 
 /**
- * Determine if the response headers have been sent.
+ * Create the final error frame of a streaming response.
  *
- * @param {object} res
- * @returns {boolean}
- * @private
+ * This is a `error` event for Server-Sent Events, or a terminal
+ * `{ "error": ... }` line for NDJSON.
+ *
+ * @param {object} context
+ * @return {string}
+ * @public
  */
-const headersSent = (res) => {
-  return typeof res.headersSent !== 'boolean'
-    ? Boolean(res._header)
-    : res.headersSent
+const createStreamFrame = (context) => {
+  const error = {
+    status: context.status,
+    message: context.message,
+    requestId: context.requestId
+  }
+
+  return context.type === 'sse'
+    ? 'event: error\ndata: ' + JSON.stringify(error) + '\n\n'
+    : JSON.stringify({ error: error }) + '\n'
 }
 
 /**
- * Send response.
+ * Destroy the connection of a request with an unread body, once the
+ * response is sent.
+ *
+ * For HTTP/2, only the stream of the request is closed, as soon as
+ * the response is written, since the response of a stream does not
+ * finish before the request does.
  *
  * @param {IncomingMessage} req
  * @param {OutgoingMessage} res
- * @param {number} status
- * @param {object} headers
- * @param {string} message
  * @private
  */
-const sendResponse = (req, res, status, headers, message) => {
-  let write = () => {
-    // response body
-    let body = createHtmlDocument(message)
+const destroyRequest = (req, res) => {
+  if (req.stream) {
+    req.stream.once('finish', () => http2.cancelStream(req.stream))
+    return
+  }
 
-    // response status
-    res.statusCode = status
-    res.statusMessage = statuses.message[status] || String(status)
+  onFinished(res, () => {
+    if (req.socket) {
+      req.socket.destroy()
+    }
+  })
+}
 
-    // response headers
-    setHeaders(res, headers)
+/**
+ * Drain the body of a request within the limits.
+ *
+ * The callback receives the result, one of `drained`, `limit` or
+ * `timeout`, the number of bytes read and the elapsed time in
+ * milliseconds. When a limit is hit, the request is paused and left
+ * unread.
+ *
+ * @param {IncomingMessage} req
+ * @param {object} limits
+ * @param {function} callback
+ * @private
+ */
+const drainRequest = (req, limits, callback) => {
+  const length = Number(req.headers && req.headers['content-length'])
+  const started = process.hrtime()
+  let bytes = 0
+  let finished = false
+  let timer
 
-    // security headers
-    res.setHeader('Content-Security-Policy', "default-src 'none'")
-    res.setHeader('X-Content-Type-Options', 'nosniff')
+  const finish = (result) => {
+    if (finished) {
+      return
+    }
 
-    // standard headers
-    res.setHeader('Content-Type', 'text/html; charset=utf-8')
-    res.setHeader('Content-Length', Buffer.byteLength(body, 'utf8'))
+    finished = true
+    clearTimeout(timer)
+    req.removeListener('data', ondata)
 
-    if (req.method === 'HEAD') {
-      res.end()
-      return
+    if (result !== 'drained') {
+      req.pause()
     }
 
-    res.end(body, 'utf8')
+    callback(result, bytes, getElapsed(started))
   }
 
-  if (isFinished(req)) {
-    write()
-    return
+  const ondata = (chunk) => {
+    bytes += chunk.length
+
+    if (bytes > limits.limit) {
+      finish('limit')
+    }
   }
 
   // unpipe everything from the request
   unpipe(req)
 
+  if (length > limits.limit) {
+    finish('limit')
+    return
+  }
+
+  if (limits.timeout !== Infinity) {
+    timer = setTimeout(finish, limits.timeout, 'timeout')
+  }
+
   // flush the request
-  onFinished(req, write)
+  onFinished(req, () => finish('drained'))
+  req.on('data', ondata)
   req.resume()
 }
 
 /**
- * Set response headers from an object.
+ * Finish reading the body of a request before responding, within the
+ * drain limits.
  *
+ * The `next` function receives `true` when the client closed the
+ * request while the body was drained, so there is nobody to respond
+ * to. When a limit is hit, the connection is closed after the response.
+ *
+ * @param {IncomingMessage} req
  * @param {OutgoingMessage} res
- * @param {object} headers
+ * @param {object} settings
+ * @param {function} next
  * @private
  */
-const setHeaders = (res, headers) => {
-  if (!headers) {
+const finishRequest = (req, res, settings, next) => {
+  if (isFinished(req)) {
+    next(false)
     return
   }
 
-  let keys = Object.keys(headers)
-  for (let i = 0; i < keys.length; i++) {
-    let key = keys[i]
-    res.setHeader(key, headers[key])
-  }
+  drainRequest(req, settings.drain, (result, bytes, elapsed) => {
+    if (result === 'drained' && isClientGone(req, res)) {
+      // client closed request while draining
+      settings.ondrain('aborted', bytes, elapsed)
+      next(true)
+      return
+    }
+
+    settings.ondrain(result, bytes, elapsed)
+
+    if (result !== 'drained') {
+      // respond now and drop the unread request body
+      if (req.httpVersionMajor < 2) {
+        res.setHeader('Connection', 'close')
+      }
+
+      destroyRequest(req, res)
+    }
+
+    next(false)
+  })
 }
 
 /**
- * Module exports.
- * @public
+ * Get the methods allowed for the request.
+ *
+ * The methods are upper-cased and de-duplicated, with `HEAD` added
+ * when `GET` is allowed and `OPTIONS` always added.
+ *
+ * @param {array} [methods]
+ * @return {array}
+ * @private
  */
-module.exports = (req, res, options) => {
-  let opts = options || {}
-
-  // get environment
-  let env = opts.env || process.env.NODE_ENV || 'development'
+const getAllowedMethods = (methods) => {
+  if (!Array.isArray(methods) || methods.length === 0) {
+    return undefined
+  }
 
-  // get error callback
-  let onerror = opts.onerror
+  const allowed = []
+
+  const add = (method) => {
+    if (allowed.indexOf(method) === -1) {
+      allowed.push(method)
+    }
+  }
+
+  for (let i = 0; i < methods.length; i++) {
+    const method = String(methods[i]).toUpperCase()
+
+    add(method)
+
+    if (method === 'GET') {
+      add('HEAD')
+    }
+  }
+
+  add('OPTIONS')
+
+  return allowed
+}
+
+/**
+ * Get the message for the HTML and text documents.
+ *
+ * @param {object} context
+ * @return {string}
+ * @private
+ */
+const getDocumentMessage = (context) => {
+  let msg = context.message
+
+  if (context.retryAfter !== undefined) {
+    msg += '\n\nRetry after ' + context.retryAfter +
+      (context.retryAfter === 1 ? ' second.' : ' seconds.')
+  }
+
+  if (context.requestId !== undefined) {
+    msg += '\n\nReference: ' + context.requestId
+  }
+
+  return msg
+}
+
+/**
+ * Get the limits of draining the request body from an option.
+ *
+ * @param {object} [option]
+ * @return {object}
+ * @private
+ */
+const getDrainLimits = (option) => {
+  if (option === undefined) {
+    return DRAIN
+  }
+
+  if (!option || typeof option !== 'object') {
+    throw new TypeError('option drain must be an object')
+  }
+
+  const limits = Object.assign({}, DRAIN, option)
+
+  if (typeof limits.limit !== 'number' || !(limits.limit >= 0)) {
+    throw new TypeError('option drain.limit must be a non-negative number')
+  }
+
+  if (typeof limits.timeout !== 'number' || !(limits.timeout >= 0)) {
+    throw new TypeError('option drain.timeout must be a non-negative number')
+  }
+
+  // longer timeouts overflow setTimeout
+  if (limits.timeout > MAX_TIMEOUT) {
+    limits.timeout = Infinity
+  }
+
+  return limits
+}
+
+/**
+ * Get the elapsed time since a time, in milliseconds.
+ *
+ * @param {array} started
+ * @return {number}
+ * @private
+ */
+const getElapsed = (started) => {
+  const diff = process.hrtime(started)
+
+  return diff[0] * 1e3 + diff[1] / 1e6
+}
+
+/**
+ * Get headers from Error object.
+ *
+ * Headers the policy does not allow, and headers with an invalid
+ * name or value, are left out.
+ *
+ * @param {Error} err
+ * @param {object} policy
+ * @return {object}
+ * @private
+ */
+const getErrorHeaders = (err, policy) => {
+  if (!err.headers || typeof err.headers !== 'object') {
+    return undefined
+  }
+
+  const headers = Object.create(null)
+  const keys = Object.keys(err.headers)
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const name = key.toLowerCase()
+    const value = err.headers[key]
+
+    if (!HEADER_NAME_REGEXP.test(key)) {
+      debug('ignore error header with invalid name %j', key)
+    } else if (policy.deny.indexOf(name) !== -1 || (policy.allow && policy.allow.indexOf(name) === -1)) {
+      debug('ignore error header %s not allowed', key)
+    } else if (!isValidHeaderValue(value)) {
+      debug('ignore error header %s with invalid value', key)
+    } else {
+      headers[key] = value
+    }
+  }
+
+  return headers
+}
+
+/**
+ * Get the mapping for an Error object.
+ *
+ * The mappings are matched by `err.code`, `err.type` or the
+ * constructor of the error, in order.
+ *
+ * @param {Error} err
+ * @param {array} mappings
+ * @return {object}
+ * @private
+ */
+const getErrorMapping = (err, mappings) => {
+  for (let i = 0; i < mappings.length; i++) {
+    const mapping = mappings[i]
+
+    if ((mapping.code !== undefined && err.code === mapping.code) ||
+      (mapping.type !== undefined && err.type === mapping.type) ||
+      (mapping.instanceOf !== undefined && err instanceof mapping.instanceOf)) {
+      return mapping
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Get message from Error object, fallback to status message.
+ *
+ * In production, only the message of an exposed error is used.
+ *
+ * @param {Error} err
+ * @param {number} status
+ * @param {string} env
+ * @param {boolean} exposed
+ * @return {string}
+ * @private
+ */
+const getErrorMessage = (err, status, env, exposed) => {
+  let msg
+
+  if (env !== 'production') {
+    // use err.stack, including causes and aggregated errors
+    msg = getErrorStack(err, 0, [])
+  } else if (exposed && typeof err.message === 'string') {
+    // use err.message, which is safe for the client
+    msg = err.message
+  }
+
+  return msg || statuses.message[status] || String(status)
+}
+
+/**
+ * Get the stack of an error, with its cause chain and any aggregated
+ * errors appended and indented below it.
+ *
+ * @param {Error} err
+ * @param {number} depth
+ * @param {array} seen
+ * @return {string}
+ * @private
+ */
+const getErrorStack = (err, depth, seen) => {
+  if (err === null || err === undefined) {
+    return undefined
+  }
+
+  // use err.stack, which typically includes err.message
+  let msg = err.stack
+
+  // fallback to err.toString() when possible
+  if (!msg && typeof err.toString === 'function') {
+    msg = err.toString()
+  }
+
+  if (typeof err !== 'object') {
+    return msg
+  }
+
+  seen.push(err)
+
+  const nested = (label, error) => {
+    let stack
+
+    if (seen.indexOf(error) !== -1) {
+      stack = '[Circular]'
+    } else if (depth + 1 >= MAX_ERROR_DEPTH) {
+      stack = '[...]'
+    } else {
+      stack = getErrorStack(error, depth + 1, seen) || String(error)
+    }
+
+    return '\n' + label + ': ' + stack
+  }
+
+  let nestedMsg = ''
+
+  if (err.cause !== undefined && err.cause !== null) {
+    nestedMsg += nested('[cause]', err.cause)
+  }
+
+  if (Array.isArray(err.errors)) {
+    for (let i = 0; i < err.errors.length; i++) {
+      nestedMsg += nested('[errors][' + i + ']', err.errors[i])
+    }
+  }
+
+  seen.pop()
+
+  return nestedMsg
+    ? (msg || '') + nestedMsg.replace(NEWLINE_REGEXP, '\n  ')
+    : msg
+}
+
+/**
+ * Get status code from Error object.
+ *
+ * @param {Error} err
+ * @return {number}
+ * @private
+ */
+const getErrorStatusCode = (err) => {
+  // check err.status
+  if (typeof err.status === 'number' && err.status >= 400 && err.status < 600) {
+    return err.status
+  }
+
+  // check err.statusCode
+  if (typeof err.statusCode === 'number' && err.statusCode >= 400 && err.statusCode < 600) {
+    return err.statusCode
+  }
+
+  return undefined
+}
+
+/**
+ * Get the lower-case header names of a header policy list.
+ *
+ * @param {array} [names]
+ * @param {string} list
+ * @return {array}
+ * @private
+ */
+const getHeaderNames = (names, list) => {
+  if (names === undefined) {
+    return undefined
+  }
+
+  if (!Array.isArray(names)) {
+    throw new TypeError('option errorHeaders.' + list + ' must be an array')
+  }
+
+  return names.map((name) => String(name).toLowerCase())
+}
+
+/**
+ * Get the policy of headers from errors from an option.
+ *
+ * Names of the allowlist are removed from the default denylist.
+ *
+ * @param {object} [option]
+ * @return {object}
+ * @private
+ */
+const getHeaderPolicy = (option) => {
+  const opts = option || {}
+
+  if (typeof opts !== 'object') {
+    throw new TypeError('option errorHeaders must be an object')
+  }
+
+  const allow = getHeaderNames(opts.allow, 'allow')
+  const deny = getHeaderNames(opts.deny, 'deny') || []
+
+  return {
+    allow: allow,
+    deny: DENIED_ERROR_HEADERS
+      .filter((name) => !allow || allow.indexOf(name) === -1)
+      .concat(deny)
+  }
+}
+
+/**
+ * Get the error page file for a status code.
+ *
+ * The pages are looked up by the status code, then by the status
+ * class, like `5xx`, and then by `default`.
+ *
+ * @param {object} pages
+ * @param {number} status
+ * @return {string}
+ * @private
+ */
+const getPagePath = (pages, status) => {
+  const keys = [String(status), String(status)[0] + 'xx', 'default']
+
+  for (let i = 0; i < keys.length; i++) {
+    if (typeof pages[keys[i]] === 'string') {
+      return path.resolve(pages[keys[i]])
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Get the ID of the request.
+ *
+ * The ID is read from the request header, when it is a safe value,
+ * otherwise it is generated.
+ *
+ * @param {IncomingMessage} req
+ * @param {object} options
+ * @return {string}
+ * @private
+ */
+const getRequestId = (req, options) => {
+  const value = req.headers && req.headers[options.header.toLowerCase()]
+
+  if (typeof value === 'string' && REQUEST_ID_REGEXP.test(value)) {
+    return value
+  }
+
+  return String(options.generate(req))
+}
+
+/**
+ * Get the request ID options from an option.
+ *
+ * @param {object|boolean} [option]
+ * @return {object}
+ * @private
+ */
+const getRequestIdOptions = (option) => {
+  if (option === undefined || option === false) {
+    return undefined
+  }
+
+  if (option === true) {
+    return REQUEST_ID
+  }
+
+  if (!option || typeof option !== 'object') {
+    throw new TypeError('option requestId must be a boolean or an object')
+  }
+
+  const opts = Object.assign({}, REQUEST_ID, option)
+
+  if (typeof opts.header !== 'string') {
+    throw new TypeError('option requestId.header must be a string')
+  }
+
+  if (typeof opts.generate !== 'function') {
+    throw new TypeError('option requestId.generate must be a function')
+  }
+
+  return opts
+}
+
+/**
+ * Get resource name for the request.
+ *
+ * This is typically just the original pathname of the request
+ * but will fallback to "resource" is that cannot be determined.
+ *
+ * @param {IncomingMessage} req
+ * @return {string}
+ * @private
+ */
+const getResourceName = (req) => {
+  try {
+    return parseUrl.original(req).pathname
+  } catch (e) {
+    return 'resource'
+  }
+}
+
+/**
+ * Get status code from response.
+ *
+ * @param {OutgoingMessage} res
+ * @return {number}
+ * @private
+ */
+const getResponseStatusCode = (res) => {
+  let status = res.statusCode
+
+  // default status code to 500 if outside valid range
+  if (typeof status !== 'number' || status < 400 || status > 599) {
+    status = 500
+  }
+
+  return status
+}
+
+/**
+ * Get the response body format for the request.
+ *
+ * The format is negotiated from the Accept header of the request
+ * and falls back to the given type when nothing is acceptable.
+ *
+ * @param {IncomingMessage} req
+ * @param {array} types
+ * @param {string} fallback
+ * @return {string}
+ * @private
+ */
+const getResponseType = (req, types, fallback) => {
+  const formats = Object.create(null)
+  const media = []
+
+  for (let i = 0; i < types.length; i++) {
+    for (let j = 0; j < MEDIA_TYPES[types[i]].length; j++) {
+      const mediaType = MEDIA_TYPES[types[i]][j]
+
+      if (formats[mediaType] === undefined) {
+        formats[mediaType] = types[i]
+        media.push(mediaType)
+      }
+    }
+  }
+
+  const accepted = accepts(req).type(media)
+
+  return accepted ? formats[accepted] : fallback
+}
+
+/**
+ * Get the retry time of an error.
+ *
+ * The time is read from `err.retryAfter` as a number of seconds or a
+ * `Date`, or else from the defaults for the status code. The result
+ * has the `Retry-After` header value and the delay in seconds.
+ *
+ * @param {Error} err
+ * @param {number} status
+ * @param {object} defaults
+ * @return {object}
+ * @private
+ */
+const getRetryAfter = (err, status, defaults) => {
+  const value = err.retryAfter
+
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return {
+      header: value.toUTCString(),
+      seconds: Math.max(Math.ceil((value.getTime() - Date.now()) / 1000), 0)
+    }
+  }
+
+  const seconds = typeof value === 'number' && value >= 0 && value !== Infinity
+    ? Math.ceil(value)
+    : defaults[status]
+
+  if (seconds === undefined) {
+    return undefined
+  }
+
+  return {
+    header: String(seconds),
+    seconds: seconds
+  }
+}
+
+/**
+ * Get the default retry times by status code from an option.
+ *
+ * @param {object} [option]
+ * @return {object}
+ * @private
+ */
+const getRetryAfterDefaults = (option) => {
+  if (option === undefined) {
+    return {}
+  }
+
+  if (!option || typeof option !== 'object') {
+    throw new TypeError('option retryAfter must be an object')
+  }
+
+  const defaults = {}
+  const keys = Object.keys(option)
+
+  for (let i = 0; i < keys.length; i++) {
+    const status = Number(keys[i])
+    const seconds = option[keys[i]]
+
+    if (!(status >= 400 && status <= 599)) {
+      throw new TypeError('option retryAfter keys must be 4xx or 5xx status codes')
+    }
+
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new TypeError('option retryAfter values must be non-negative integers')
+    }
+
+    defaults[status] = seconds
+  }
+
+  return defaults
+}
+
+/**
+ * Get the security headers from an option.
+ *
+ * The option is the name of a preset, or an object with a `preset`
+ * name, the `contentSecurityPolicy` directives and the `headers` to
+ * add to the preset. A directive or header of `false` is removed.
+ *
+ * @param {object|string} [option]
+ * @return {object}
+ * @private
+ */
+const getSecurityHeaders = (option) => {
+  const opts = typeof option === 'string'
+    ? { preset: option }
+    : option || {}
+
+  if (typeof opts !== 'object') {
+    throw new TypeError('option securityHeaders must be a string or an object')
+  }
+
+  const name = opts.preset || 'strict'
+  const preset = Object.prototype.hasOwnProperty.call(SECURITY_HEADERS, name) &&
+    SECURITY_HEADERS[name]
+
+  if (!preset) {
+    throw new TypeError('option securityHeaders.preset must be one of ' + Object.keys(SECURITY_HEADERS).join(', '))
+  }
+
+  const directives = mergeEntries(preset.contentSecurityPolicy, opts.contentSecurityPolicy,
+    'securityHeaders.contentSecurityPolicy', false)
+  const headers = mergeEntries(preset.headers, opts.headers, 'securityHeaders.headers', true)
+
+  return {
+    directives: directives,
+    headers: headers
+  }
+}
+
+/**
+ * Get the streaming format of a response from its content type.
+ *
+ * The content type given to `res.writeHead` is only found in the
+ * header block already sent, so it is read from there.
+ *
+ * @param {OutgoingMessage} res
+ * @return {string}
+ * @private
+ */
+const getStreamType = (res) => {
+  let type = typeof res.getHeader === 'function'
+    ? res.getHeader('Content-Type')
+    : undefined
+
+  if (type === undefined && typeof res._header === 'string') {
+    const match = CONTENT_TYPE_HEADER_REGEXP.exec(res._header)
+    type = match ? match[1] : undefined
+  }
+
+  if (typeof type !== 'string') {
+    return undefined
+  }
+
+  if (SSE_TYPE_REGEXP.test(type)) {
+    return 'sse'
+  }
+
+  if (NDJSON_TYPE_REGEXP.test(type)) {
+    return 'ndjson'
+  }
+
+  return undefined
+}
+
+/**
+ * Get the list of response body formats from an option.
+ *
+ * When problem details are enabled, the `json` format is replaced
+ * with the `problem` format.
+ *
+ * @param {array} [types]
+ * @param {boolean} [problem]
+ * @return {array}
+ * @private
+ */
+const getTypes = (types, problem) => {
+  if (types === undefined) {
+    types = TYPES
+  } else if (!Array.isArray(types) || types.length === 0) {
+    throw new TypeError('option types must be a non-empty array')
+  }
+
+  for (let i = 0; i < types.length; i++) {
+    if (CONTENT_TYPES[types[i]] === undefined) {
+      throw new TypeError('unsupported response type "' + types[i] + '"')
+    }
+  }
+
+  return !problem
+    ? types
+    : types.map((type) => type === 'json' ? 'problem' : type)
+}
+
+/**
+ * Determine if the response headers have been sent.
+ *
+ * @param {object} res
+ * @returns {boolean}
+ * @private
+ */
+const headersSent = (res) => {
+  return typeof res.headersSent !== 'boolean'
+    ? Boolean(res._header)
+    : res.headersSent
+}
+
+/**
+ * Determine if the client closed the request before the response.
+ *
+ * This is when the connection of the request is gone, or the error
+ * is from reading an aborted request.
+ *
+ * @param {IncomingMessage} req
+ * @param {OutgoingMessage} res
+ * @param {Error} [err]
+ * @return {boolean}
+ * @private
+ */
+const isAborted = (req, res, err) => {
+  if (err && (err.type === 'request.aborted' || (err.code === 'ECONNRESET' && err.message === 'aborted'))) {
+    return true
+  }
+
+  return isClientGone(req, res)
+}
+
+/**
+ * Determine if the connection of a request is gone before the
+ * response ended.
+ *
+ * @param {IncomingMessage} req
+ * @param {OutgoingMessage} res
+ * @return {boolean}
+ * @private
+ */
+const isClientGone = (req, res) => {
+  if (res.writableEnded || res.finished) {
+    return false
+  }
+
+  return req.aborted === true ||
+    Boolean(req.stream ? req.stream.destroyed : req.socket && req.socket.destroyed)
+}
+
+/**
+ * Determine if the message of an error is safe to send to the client.
+ *
+ * The `err.expose` property is respected, then the `expose` property
+ * of a mapping for the error, falling back to the policy for the
+ * class of the status code. Errors without a status code of their
+ * own are not exposed.
+ *
+ * @param {Error} err
+ * @param {number} status
+ * @param {string} source
+ * @param {object} expose
+ * @param {object} [mapping]
+ * @return {boolean}
+ * @private
+ */
+const isExposed = (err, status, source, expose, mapping) => {
+  if (typeof err.expose === 'boolean') {
+    return err.expose
+  }
+
+  if (mapping) {
+    return mapping.expose === true
+  }
+
+  if (source !== 'error') {
+    return false
+  }
+
+  return expose[String(status)[0] + 'xx'] === true
+}
+
+/**
+ * Determine if a value is valid for a response header.
+ *
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+const isValidHeaderValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length !== 0 && value.every(isValidHeaderValue)
+  }
+
+  return (typeof value === 'string' || typeof value === 'number') &&
+    !INVALID_HEADER_VALUE_REGEXP.test(String(value))
+}
+
+/**
+ * Merge an object of names and values into the entries of a preset.
+ *
+ * Names are matched case-insensitively and a value of `false`
+ * removes the entry. Values are strings, or arrays of strings which
+ * are joined with spaces.
+ *
+ * @param {object} preset
+ * @param {object} [obj]
+ * @param {string} option
+ * @param {boolean} keepCase
+ * @return {object}
+ * @private
+ */
+const mergeEntries = (preset, obj, option, keepCase) => {
+  if (obj !== undefined && (!obj || typeof obj !== 'object')) {
+    throw new TypeError('option ' + option + ' must be an object')
+  }
+
+  const entries = Object.create(null)
+  const sources = [preset, obj || {}]
+
+  for (let i = 0; i < sources.length; i++) {
+    const keys = Object.keys(sources[i])
+
+    for (let j = 0; j < keys.length; j++) {
+      const key = keys[j].toLowerCase()
+      const value = sources[i][keys[j]]
+
+      if (value === false) {
+        delete entries[key]
+        continue
+      }
+
+      if (typeof value !== 'string' && !(Array.isArray(value) && value.every((v) => typeof v === 'string'))) {
+        throw new TypeError('option ' + option + ' values must be strings or false')
+      }
+
+      entries[key] = {
+        name: keepCase ? keys[j] : key,
+        value: [].concat(value).join(' ')
+      }
+    }
+  }
+
+  return entries
+}
+
+/**
+ * No-op function.
+ * @private
+ */
+const noop = () => {}
+
+/**
+ * Read an error page file, caching the contents after the first read.
+ *
+ * @param {object} context
+ * @param {object} [pages]
+ * @param {function} callback
+ * @private
+ */
+const readPage = (context, pages, callback) => {
+  const file = pages && context.type === 'html'
+    ? getPagePath(pages, context.status)
+    : undefined
+
+  if (file === undefined) {
+    callback()
+    return
+  }
+
+  if (pageCache[file] !== undefined) {
+    callback(pageCache[file])
+    return
+  }
+
+  fs.readFile(file, (err, buf) => {
+    if (err) {
+      debug('cannot read page %s: %s', file, err.message)
+      callback()
+      return
+    }
+
+    pageCache[file] = buf
+    callback(buf)
+  })
+}
+
+/**
+ * Register a mapping of errors to a status code.
+ *
+ * Registered mappings take precedence over the built-in mappings,
+ * with the newest registration first.
+ *
+ * @param {object} mapping
+ * @public
+ */
+const registerError = (mapping) => {
+  errorMappings.unshift(validateErrorMapping(mapping))
+}
+
+/**
+ * Render the response body in the negotiated format.
+ *
+ * This is the default renderer, which can be wrapped by a custom
+ * renderer given as the `render` option.
+ *
+ * @param {object} context
+ * @return {object}
+ * @public
+ */
+const render = (context) => {
+  return {
+    body: createDocument(context),
+    type: CONTENT_TYPES[context.type]
+  }
+}
+
+/**
+ * Render a detailed HTML document in development.
+ *
+ * The document includes the stack frames, with the source lines of
+ * frames in the application, and the details of the request. The
+ * default renderer is used in production and for other formats.
+ *
+ * @param {object} context
+ * @return {object}
+ * @public
+ */
+const renderDevelopment = (context) => {
+  if (context.env === 'production' || context.type !== 'html') {
+    return render(context)
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64')
+
+  return {
+    body: createDevelopmentDocument(context, nonce),
+    nonce: nonce,
+    type: CONTENT_TYPES.html
+  }
+}
+
+/**
+ * Render the response body with the given renderer.
+ *
+ * The renderer may return a string or Buffer body, or an object
+ * with `body` and `type` properties, and a `nonce` for inline styles.
+ * The default renderer is used
+ * when the renderer throws or returns nothing usable.
+ *
+ * @param {object} context
+ * @param {function} renderer
+ * @return {object}
+ * @private
+ */
+const renderResponse = (context, renderer) => {
+  let output
+
+  try {
+    output = renderer(context)
+  } catch (e) {
+    debug('render error: %s', e.message)
+    return render(context)
+  }
+
+  if (typeof output === 'string' || Buffer.isBuffer(output)) {
+    return { body: output, type: CONTENT_TYPES[context.type] }
+  }
+
+  if (!output || (typeof output.body !== 'string' && !Buffer.isBuffer(output.body))) {
+    debug('render returned no body')
+    return render(context)
+  }
+
+  return {
+    body: output.body,
+    nonce: output.nonce,
+    type: output.type || CONTENT_TYPES[context.type]
+  }
+}
+
+/**
+ * Send response.
+ *
+ * The context holds the request, response, error, status, headers,
+ * message, environment and negotiated type of the response.
+ *
+ * @param {object} context
+ * @param {object} settings
+ * @private
+ */
+const sendResponse = (context, settings) => {
+  const req = context.req
+  const res = context.res
+  const status = context.status
+
+  const write = () => {
+    if (status === 204) {
+      sendEmpty()
+      return
+    }
+
+    readPage(context, settings.pages, (page) => {
+      send(page
+        ? { body: page, type: CONTENT_TYPES.html }
+        : renderResponse(context, settings.render))
+    })
+  }
+
+  const writeHead = () => {
+    // response status
+    res.statusCode = status
+    setStatusMessage(req, res, status)
+
+    // remove headers of the original representation
+    for (let i = 0; i < STALE_HEADERS.length; i++) {
+      res.removeHeader(STALE_HEADERS[i])
+    }
+
+    // caching headers
+    if (status >= 500) {
+      res.setHeader('Cache-Control', 'no-store')
+    } else if (status === 404 && settings.notFoundMaxAge !== undefined) {
+      res.setHeader('Cache-Control', 'public, max-age=' + settings.notFoundMaxAge)
+    }
+
+    // connection headers, which HTTP/2 does not allow
+    if (status >= 500 && settings.closeConnection && req.httpVersionMajor < 2) {
+      res.setHeader('Connection', 'close')
+    }
+
+    // response headers
+    setHeaders(res, context.headers)
+    setRequestIdHeader(res, context.requestId, settings.requestIdHeader)
+  }
+
+  const sendEmpty = () => {
+    writeHead()
+    res.end()
+  }
+
+  const send = (output) => {
+    // response body
+    const body = output.body
+
+    // response status and headers
+    writeHead()
+
+    // security headers
+    setSecurityHeaders(res, settings.security, output.nonce)
+
+    // standard headers
+    res.setHeader('Content-Type', output.type)
+    res.setHeader('Content-Length', Buffer.byteLength(body, 'utf8'))
+
+    if (settings.vary) {
+      setVary(res, 'Accept')
+    }
+
+    if (req.method === 'HEAD') {
+      res.end()
+      return
+    }
+
+    res.end(body, 'utf8')
+  }
+
+  write()
+}
+
+/**
+ * Set response headers from an object.
+ *
+ * @param {OutgoingMessage} res
+ * @param {object} headers
+ * @private
+ */
+const setHeaders = (res, headers) => {
+  if (!headers) {
+    return
+  }
+
+  let keys = Object.keys(headers)
+  for (let i = 0; i < keys.length; i++) {
+    let key = keys[i]
+    res.setHeader(key, headers[key])
+  }
+}
+
+/**
+ * Set the request ID response header.
+ *
+ * @param {OutgoingMessage} res
+ * @param {string} [id]
+ * @param {string} [header]
+ * @private
+ */
+const setRequestIdHeader = (res, id, header) => {
+  if (id !== undefined) {
+    res.setHeader(header, id)
+  }
+}
+
+/**
+ * Set the security headers of the response.
+ *
+ * The nonce is added to the `style-src` directive of the
+ * `Content-Security-Policy` header.
+ *
+ * @param {OutgoingMessage} res
+ * @param {object} security
+ * @param {string} [nonce]
+ * @private
+ */
+const setSecurityHeaders = (res, security, nonce) => {
+  const directives = Object.assign(Object.create(null), security.directives)
+
+  if (nonce) {
+    const style = directives['style-src']
+
+    directives['style-src'] = {
+      name: 'style-src',
+      value: (style ? style.value + ' ' : '') + "'nonce-" + nonce + "'"
+    }
+  }
+
+  const policy = Object.keys(directives)
+    .map((key) => (directives[key].name + ' ' + directives[key].value).trim())
+    .join('; ')
+
+  if (policy) {
+    res.setHeader('Content-Security-Policy', policy)
+  }
+
+  const keys = Object.keys(security.headers)
+
+  for (let i = 0; i < keys.length; i++) {
+    res.setHeader(security.headers[keys[i]].name, security.headers[keys[i]].value)
+  }
+}
+
+/**
+ * Set the status message of the response.
+ *
+ * HTTP/2 has no status messages, so it is not set for HTTP/2.
+ *
+ * @param {IncomingMessage} req
+ * @param {OutgoingMessage} res
+ * @param {number} status
+ * @private
+ */
+const setStatusMessage = (req, res, status) => {
+  if (req.httpVersionMajor >= 2) {
+    return
+  }
+
+  res.statusMessage = statuses.message[status] || String(status)
+}
+
+/**
+ * Add a field to the `Vary` header of the response, keeping the
+ * fields already set.
+ *
+ * @param {OutgoingMessage} res
+ * @param {string} field
+ * @private
+ */
+const setVary = (res, field) => {
+  const value = res.getHeader('Vary')
+  const fields = (Array.isArray(value) ? value.join(',') : String(value || ''))
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+
+  if (fields.indexOf('*') !== -1 ||
+    fields.some((name) => name.toLowerCase() === field.toLowerCase())) {
+    return
+  }
+
+  fields.push(field)
+  res.setHeader('Vary', fields.join(', '))
+}
+
+/**
+ * Terminate a response after an error when headers are already sent.
+ *
+ * The `trailer` strategy falls back to `destroy` when the response
+ * is not chunked nor HTTP/2, as trailers cannot be sent. For HTTP/2,
+ * `destroy` closes the stream with an internal error.
+ *
+ * @param {OutgoingMessage} res
+ * @param {number} status
+ * @param {string} strategy
+ * @private
+ */
+const terminateResponse = (res, status, strategy) => {
+  const trailers = res.chunkedEncoding ||
+    (res.stream && typeof res.addTrailers === 'function')
+
+  if (strategy === 'trailer' && trailers) {
+    res.addTrailers({ 'X-Error': status + ' ' + (statuses.message[status] || String(status)) })
+    res.end()
+    return
+  }
+
+  if (strategy !== 'end') {
+    // abort the transfer
+    if (res.stream) {
+      http2.closeStream(res.stream)
+    } else if (typeof res.destroy === 'function') {
+      res.destroy()
+    } else if (res.socket) {
+      res.socket.destroy()
+    }
+    return
+  }
+
+  res.end('')
+}
+
+/**
+ * Validate a mapping of errors to a status code.
+ *
+ * @param {object} mapping
+ * @return {object}
+ * @private
+ */
+const validateErrorMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object') {
+    throw new TypeError('error mapping must be an object')
+  }
+
+  if (mapping.code === undefined && mapping.type === undefined && mapping.instanceOf === undefined) {
+    throw new TypeError('error mapping must have code, type or instanceOf')
+  }
+
+  if (mapping.instanceOf !== undefined && typeof mapping.instanceOf !== 'function') {
+    throw new TypeError('error mapping instanceOf must be a function')
+  }
+
+  if (typeof mapping.status !== 'number' || mapping.status < 400 || mapping.status > 599) {
+    throw new TypeError('error mapping status must be a number between 400 and 599')
+  }
+
+  if (mapping.headers !== undefined && (!mapping.headers || typeof mapping.headers !== 'object')) {
+    throw new TypeError('error mapping headers must be an object')
+  }
+
+  return mapping
+}
+
+/**
+ * Create a function to handle the final response.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} [options]
+ * @return {Function}
+ * @public
+ */
+const finalhandler = (req, res, options) => {
+  const started = process.hrtime()
+  let opts = options || {}
+
+  // get environment
+  let env = opts.env || process.env.NODE_ENV || 'development'
+
+  // get error callback
+  let onerror = opts.onerror
+  const awaitOnerror = opts.awaitOnerror === true
+    ? AWAIT_ONERROR_TIMEOUT
+    : opts.awaitOnerror || 0
+
+  if (typeof awaitOnerror !== 'number' || !(awaitOnerror >= 0 && awaitOnerror <= MAX_TIMEOUT)) {
+    throw new TypeError('option awaitOnerror must be a boolean or a number of milliseconds')
+  }
+
+  // get error message policy
+  const expose = Object.assign({}, EXPOSE, opts.expose)
+
+  // get error mappings
+  if (opts.errorMap !== undefined && !Array.isArray(opts.errorMap)) {
+    throw new TypeError('option errorMap must be an array')
+  }
+
+  const mappings = (opts.errorMap || []).map(validateErrorMapping)
+    .concat(errorMappings, ERROR_MAPPINGS)
+
+  // get error headers policy
+  const headerPolicy = getHeaderPolicy(opts.errorHeaders)
+
+  // get secret redaction
+  const redact = createRedactor(opts.redact)
+
+  // get default retry times
+  const retryAfter = getRetryAfterDefaults(opts.retryAfter)
+
+  // get request ID options
+  const requestId = getRequestIdOptions(opts.requestId)
+
+  // get response body formats
+  const types = getTypes(opts.types, opts.problem)
+  const defaultType = opts.defaultType !== undefined
+    ? getTypes([opts.defaultType], opts.problem)[0]
+    : types[0]
+
+  // get response renderer
+  const renderer = opts.render || render
+
+  if (typeof renderer !== 'function') {
+    throw new TypeError('option render must be function')
+  }
+
+  // get allowed methods
+  if (opts.allowedMethods !== undefined && !Array.isArray(opts.allowedMethods)) {
+    throw new TypeError('option allowedMethods must be an array')
+  }
+
+  // get headers sent strategy
+  const headersSentStrategy = opts.headersSent || 'end'
+
+  if (HEADERS_SENT_STRATEGIES.indexOf(headersSentStrategy) === -1) {
+    throw new TypeError('option headersSent must be one of ' + HEADERS_SENT_STRATEGIES.join(', '))
+  }
+
+  // get stream error frame
+  const streamFrame = opts.streamFrame || createStreamFrame
+
+  if (typeof streamFrame !== 'function') {
+    throw new TypeError('option streamFrame must be function')
+  }
+
+  // get caching and connection policy
+  const closeConnection = Boolean(opts.closeConnection)
+  const notFoundMaxAge = opts.notFoundMaxAge
+
+  if (notFoundMaxAge !== undefined && !(Number.isInteger(notFoundMaxAge) && notFoundMaxAge >= 0)) {
+    throw new TypeError('option notFoundMaxAge must be a non-negative integer')
+  }
+
+  // get security headers
+  const security = getSecurityHeaders(opts.securityHeaders)
+
+  // get request body drain limits
+  const drain = getDrainLimits(opts.drain)
+
+  // get error pages
+  const pages = opts.pages
+
+  if (pages !== undefined && (!pages || typeof pages !== 'object')) {
+    throw new TypeError('option pages must be an object')
+  }
+
+  // get client closed request policy
+  const ignoreAborted = Boolean(opts.ignoreAborted)
+
+  // get metrics collector
+  const metrics = opts.metrics
+
+  if (metrics !== undefined && (!metrics || typeof metrics.countResponse !== 'function')) {
+    throw new TypeError('option metrics must be created by createMetrics')
+  }
+
+  // get repeated call mode
+  const duplicateCall = opts.duplicateCall || 'ignore'
+
+  if (DUPLICATE_CALL_MODES.indexOf(duplicateCall) === -1) {
+    throw new TypeError('option duplicateCall must be one of ' + DUPLICATE_CALL_MODES.join(', '))
+  }
+
+  // state of the first call
+  let first
+
+  const repeat = (err) => {
+    debug('ignore repeated call with %s, first called with %s', err || 'no error', first.err || 'no error')
+
+    if (duplicateCall === 'ignore') {
+      return first.finished
+    }
+
+    const error = createDuplicateCallError(first.err, err)
+
+    if (duplicateCall === 'strict' && env !== 'production') {
+      throw error
+    }
+
+    if (onerror) {
+      defer(callOnerror, onerror, error, req, res, {
+        duplicate: true,
+        headersSent: headersSent(res),
+        requestId: first.requestId
+      }, noop)
+    }
+
+    if (opts.app && typeof opts.app.emit === 'function') {
+      opts.app.emit('errorDuplicate', {
+        method: req.method,
+        url: redact.text(encodeUrl(getResourceName(req))),
+        requestId: first.requestId,
+        error: error
+      })
+    }
+
+    return first.finished
+  }
 
   return function (err) {
     let headers
+    let mapping
     let msg
+    let retry
+    let source
     let status
 
-    // cannot actually respond
-    if (headersSent(res)) {
-      debug('cannot %d after headers sent', status)
-      res.end('')
-      return this
+    // ignore repeated calls
+    if (first) {
+      return repeat(err)
     }
 
-    // unhandled error
-    if (err) {
-      // respect status code from error
+    // resolve when the response is finished
+    const finished = new Promise((resolve) => {
+      onFinished(res, () => resolve())
+    })
+
+    first = {
+      err: err,
+      finished: finished,
+      requestId: undefined
+    }
+
+    // client closed request
+    const aborted = isAborted(req, res, err)
+
+    // cannot actually respond
+    const sent = headersSent(res)
+
+    if (sent && !err) {
+      // status code of the started response
+      status = res.statusCode
+      source = 'response'
+    } else if (err) {
+      // respect status code from unhandled error
       status = getErrorStatusCode(err)
+      source = 'error'
 
-      if (status === undefined) {
+      if (status !== undefined) {
+        // respect headers from error
+        headers = redact.headers(getErrorHeaders(err, headerPolicy))
+      } else if ((mapping = getErrorMapping(err, mappings))) {
+        // use status code and headers from mapping
+        status = mapping.status
+        headers = redact.headers(getErrorHeaders(mapping, headerPolicy))
+      } else {
         // fallback to status code on response
         status = getResponseStatusCode(res)
-      } else {
-        // respect headers from error
-        headers = getErrorHeaders(err)
+        source = 'response'
+      }
+
+      // get retry time, unless already in headers
+      retry = getRetryAfter(err, status, retryAfter)
+
+      if (retry && headers && Object.keys(headers).some((key) => key.toLowerCase() === 'retry-after')) {
+        retry = undefined
+      } else if (retry) {
+        headers = Object.assign(Object.create(null), headers, { 'Retry-After': retry.header })
       }
 
       // get error message
-      msg = getErrorMessage(err, status, env)
+      msg = redact.text(getErrorMessage(err, status, env,
+        isExposed(err, status, source, expose, mapping)))
     } else {
-      // not found
-      status = 404
-      msg = 'Cannot ' + req.method + ' ' + encodeUrl(getResourceName(req))
+      const allowed = getAllowedMethods(opts.allowedMethods || req.allowedMethods)
+      source = 'notFound'
+
+      if (allowed && req.method === 'OPTIONS') {
+        // automatic OPTIONS response
+        status = 204
+        headers = { Allow: allowed.join(', ') }
+      } else if (allowed && allowed.indexOf(req.method) === -1) {
+        // method not allowed
+        status = 405
+        headers = { Allow: allowed.join(', ') }
+      } else {
+        // not found
+        status = 404
+      }
+
+      msg = redact.text('Cannot ' + req.method + ' ' + encodeUrl(getResourceName(req)))
     }
-    debug('error dispatching %s %s', req.method, encodeUrl(getResourceName(req)))
-    if (opts.app && typeof opts.app.emit === 'function') {
-      opts.app.emit('errorDispatch', {
-        method: req.method,
-        url: encodeUrl(getResourceName(req))
+
+    if (aborted) {
+      status = 499
+    }
+
+    const id = requestId && getRequestId(req, requestId)
+    first.requestId = id
+    const url = redact.text(encodeUrl(getResourceName(req)))
+
+    const dispatch = {
+      method: req.method,
+      url: url,
+      requestId: id,
+      req: req,
+      res: res,
+      err: err,
+      status: status,
+      source: source,
+      elapsed: getElapsed(started)
+    }
+
+    debug('error dispatching %s %s', req.method, url)
+    if (metrics) {
+      metrics.countResponse(req, err, status)
+    }
+    if (diagnostics.start.hasSubscribers) {
+      diagnostics.start.publish(dispatch)
+    }
+    if (err && diagnostics.error.hasSubscribers) {
+      diagnostics.error.publish(dispatch)
+    }
+    if (diagnostics.response.hasSubscribers) {
+      finished.then(() => {
+        diagnostics.response.publish(Object.assign({}, dispatch, {
+          elapsed: getElapsed(started)
+        }))
       })
     }
+    if (opts.app && typeof opts.app.emit === 'function') {
+      opts.app.emit('errorDispatch', dispatch)
+    }
+
+    if (sent && !err) {
+      debug('cannot respond after headers sent')
+      res.end('')
+      return finished
+    }
+
     debug('default %s', status)
 
-    // schedule onerror callback
-    if (err && onerror) {
-      defer(onerror, err, req, res)
+    const context = {
+      req: req,
+      res: res,
+      err: err,
+      status: status,
+      headers: headers,
+      message: msg,
+      env: env,
+      redact: redact,
+      report: undefined,
+      requestId: id,
+      retryAfter: retry && retry.seconds,
+      type: getResponseType(req, types, defaultType)
+    }
+
+    const settings = {
+      closeConnection: closeConnection,
+      drain: drain,
+      notFoundMaxAge: notFoundMaxAge,
+      ondrain: (result, bytes, elapsed) => {
+        if (metrics) {
+          metrics.observeDrain(result, elapsed / 1e3)
+        }
+
+        if (result === 'drained') {
+          debug('drained %d bytes of request body', bytes)
+        } else if (result === 'aborted') {
+          debug('client closed request (499) after draining %d bytes', bytes)
+        } else {
+          debug('abort draining request body after %d bytes on %s', bytes, result)
+        }
+
+        if (opts.app && typeof opts.app.emit === 'function') {
+          opts.app.emit('errorDrain', {
+            method: req.method,
+            url: url,
+            requestId: id,
+            result: result,
+            bytes: bytes,
+            elapsed: elapsed
+          })
+        }
+      },
+      pages: pages,
+      render: renderer,
+      requestIdHeader: requestId && requestId.header,
+      security: security,
+      vary: types.length > 1
+    }
+
+    const info = {
+      aborted: aborted,
+      duplicate: false,
+      headersSent: sent,
+      requestId: id,
+      status: status
+    }
+
+    if (aborted) {
+      debug('client closed request (499)')
+
+      // schedule onerror callback
+      if (err && onerror && !ignoreAborted) {
+        defer(callOnerror, onerror, err, req, res, info, noop)
+      }
+
+      // drop the connection without a response
+      terminateResponse(res, status, 'destroy')
+      return finished
+    }
+
+    if (sent) {
+      debug('cannot %d after headers sent', status)
+
+      if (metrics) {
+        metrics.countHeadersSent()
+      }
+
+      // schedule onerror callback
+      if (onerror) {
+        defer(callOnerror, onerror, err, req, res, info, noop)
+      }
+
+      const streamType = getStreamType(res)
+
+      if (streamType && !isFinished(res)) {
+        // write final error frame to stream
+        res.end(streamFrame({
+          req: req,
+          res: res,
+          err: err,
+          status: status,
+          message: msg,
+          env: env,
+          requestId: id,
+          type: streamType
+        }))
+        return finished
+      }
+
+      // terminate response
+      terminateResponse(res, status, headersSentStrategy)
+      return finished
+    }
+
+    // send response once the request body is read, unless the client
+    // closed the request meanwhile, which is reported to errorDrain
+    const respond = () => {
+      finishRequest(req, res, settings, (gone) => {
+        if (!gone) {
+          sendResponse(context, settings)
+        }
+      })
+    }
+
+    if (err && onerror && awaitOnerror) {
+      let waiting = true
+
+      // send response after onerror callback, or once the wait timed out
+      const proceed = (report) => {
+        if (!waiting) {
+          return
+        }
+
+        waiting = false
+        clearTimeout(timer)
+        context.report = report
+        respond()
+      }
+
+      const timer = setTimeout(() => {
+        debug('onerror timed out after %dms', awaitOnerror)
+        proceed()
+      }, awaitOnerror)
+
+      callOnerror(onerror, err, req, res, info, proceed)
+    } else {
+      // schedule onerror callback
+      if (err && onerror) {
+        defer(callOnerror, onerror, err, req, res, info, noop)
+      }
+
+      // send response
+      respond()
+    }
+
+    return finished
+  }
+}
+
+/**
+ * Create a function to handle the final response of a raw HTTP/2
+ * stream, as given to the `stream` event of an HTTP/2 server.
+ *
+ * @param {Http2Stream} stream
+ * @param {object} headers
+ * @param {Object} [options]
+ * @return {Function}
+ * @public
+ */
+const finalhandlerStream = (stream, headers, options) => {
+  return finalhandler(http2.createStreamRequest(stream, headers),
+    http2.createStreamResponse(stream), options)
+}
+
+/**
+ * Wrap a handler into a request listener for `http.createServer`.
+ *
+ * The handler is called with `(req, res, done)`. Synchronous throws
+ * and rejections of a returned promise are passed to `done`, and a
+ * returned promise that resolves without a response falls through to
+ * the 404 response.
+ *
+ * @param {function} handler
+ * @param {Object} [options]
+ * @return {function}
+ * @public
+ */
+const wrap = (handler, options) => {
+  if (typeof handler !== 'function') {
+    throw new TypeError('argument handler must be a function')
+  }
+
+  return function (req, res) {
+    const done = finalhandler(req, res, options)
+    let called = false
+    let result
+
+    const next = (err) => {
+      called = true
+      return done(err)
+    }
+
+    const fail = (err) => {
+      if (called) {
+        debug('ignore error after done %s', err)
+        return
+      }
+
+      next(err)
+    }
+
+    try {
+      result = handler(req, res, next)
+    } catch (err) {
+      fail(err || new Error('handler threw ' + err))
+      return
     }
 
-    // send response
-    sendResponse(req, res, status, headers, msg)
+    if (result && typeof result.then === 'function') {
+      result.then(() => {
+        if (!called && !headersSent(res) && !isFinished(res)) {
+          next()
+        }
+      }, (err) => {
+        fail(err || new Error('handler rejected with ' + err))
+      })
+    }
   }
 }
 
+/**
+ * Module exports.
+ * @public
+ */
+module.exports = finalhandler
+module.exports.createHtmlDocument = createHtmlDocument
+module.exports.createMetrics = createMetrics
+module.exports.createStreamFrame = createStreamFrame
+module.exports.http2Stream = finalhandlerStream
+module.exports.registerError = registerError
+module.exports.render = render
+module.exports.renderDevelopment = renderDevelopment
+module.exports.wrap = wrap
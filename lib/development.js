@@ -0,0 +1,298 @@
+/*!
+ * xprezzo-finalhandler
+ * Copyright(c) 2022 Cloudgen Wong <cloudgen.wong@gmail.com>
+ * MIT Licensed
+ *
+ * Create a detailed HTML document for errors in development.
+ */
+
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+const escapeHtml = require('escape-html')
+const fs = require('fs')
+const parseUrl = require('parseurl')
+const path = require('path')
+const querystring = require('querystring')
+const statuses = require('statuses')
+const url = require('url')
+
+/**
+ * Module variables.
+ * @private
+ */
+const FRAME_REGEXP = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/
+const NODE_MODULES_REGEXP = /[\\/]node_modules[\\/]/
+
+/**
+ * Number of source lines to show around the line of a frame.
+ * @private
+ */
+const SOURCE_CONTEXT = 3
+
+/**
+ * Styles of the document.
+ * @private
+ */
+const STYLES = 'body{margin:0;font:14px/1.5 system-ui,sans-serif;color:#1f2328;background:#f6f8fa}' +
+  'header{padding:24px 32px;color:#fff;background:#b42318}' +
+  'h1{margin:0 0 12px;font-size:22px}' +
+  'h2{margin:24px 0 8px;font-size:16px}' +
+  'main{padding:0 32px 32px}' +
+  'pre{margin:0;overflow:auto;font:13px/1.5 ui-monospace,monospace;white-space:pre-wrap}' +
+  'details{margin:4px 0;border:1px solid #d0d7de;border-radius:6px;background:#fff}' +
+  'summary{padding:6px 12px;cursor:pointer}' +
+  'details>pre,details>table{padding:6px 12px}' +
+  '.vendor summary{color:#656d76}' +
+  '.file{color:#656d76}' +
+  '.line{display:block}' +
+  '.current{background:#ffebe9;font-weight:bold}' +
+  'table{border-collapse:collapse;width:100%}' +
+  'th,td{padding:2px 8px;text-align:left;vertical-align:top;font:13px/1.5 ui-monospace,monospace;word-break:break-all}' +
+  'th{width:25%;color:#656d76;font-weight:normal}'
+
+/**
+ * Create a detailed HTML document for the response.
+ *
+ * @param {object} context
+ * @param {string} nonce
+ * @return {string}
+ * @public
+ */
+const createDevelopmentDocument = (context, nonce) => {
+  const req = context.req
+  const status = context.status
+  const title = status + ' ' + (statuses.message[status] || String(status))
+  const frames = getStackFrames(context.err)
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="en">\n' +
+    '<head>\n' +
+    '<meta charset="utf-8">\n' +
+    '<title>' + escapeHtml(title) + '</title>\n' +
+    '<style nonce="' + escapeHtml(nonce) + '">' + STYLES + '</style>\n' +
+    '</head>\n' +
+    '<body>\n' +
+    '<header>\n' +
+    '<h1>' + escapeHtml(title) + '</h1>\n' +
+    '<pre>' + escapeHtml(context.message) + '</pre>\n' +
+    '</header>\n' +
+    '<main>\n' +
+    (frames.length !== 0
+      ? '<h2>Stack</h2>\n' + frames.map(createFrameSection).join('')
+      : '') +
+    '<h2>Request</h2>\n' +
+    createDetailsSection('Summary', createTable([
+      ['Method', req.method],
+      ['URL', context.redact.text(req.originalUrl || req.url)]
+    ].concat(context.requestId !== undefined
+      ? [['Reference', context.requestId]]
+      : [])), true) +
+    createDetailsSection('Headers', createTable(getEntries(context.redact.headers(req.headers))), false) +
+    createDetailsSection('Query', createTable(getEntries(context.redact.query(getQuery(req)))), false) +
+    '</main>\n' +
+    '</body>\n' +
+    '</html>\n'
+}
+
+/**
+ * Create a collapsible section.
+ *
+ * @param {string} summary
+ * @param {string} html
+ * @param {boolean} open
+ * @return {string}
+ * @private
+ */
+const createDetailsSection = (summary, html, open) => {
+  return '<details' + (open ? ' open' : '') + '>' +
+    '<summary>' + escapeHtml(summary) + '</summary>' +
+    html +
+    '</details>\n'
+}
+
+/**
+ * Create a collapsible section for a stack frame.
+ *
+ * Frames of the application are open and include the source
+ * lines around the line of the frame.
+ *
+ * @param {object} frame
+ * @return {string}
+ * @private
+ */
+const createFrameSection = (frame) => {
+  const summary = '<code>' + escapeHtml(frame.name || '<anonymous>') + '</code> ' +
+    '<span class="file">' + escapeHtml(frame.file + ':' + frame.line + ':' + frame.column) + '</span>'
+
+  if (!frame.source) {
+    return '<details class="vendor"><summary>' + summary + '</summary></details>\n'
+  }
+
+  const lines = frame.source.map((source) => {
+    return '<span class="line' + (source.number === frame.line ? ' current' : '') + '">' +
+      escapeHtml(String(source.number).padStart(5) + ' | ' + source.text) +
+      '</span>'
+  })
+
+  return '<details open><summary>' + summary + '</summary>' +
+    '<pre>' + lines.join('') + '</pre>' +
+    '</details>\n'
+}
+
+/**
+ * Create a table of name and value pairs.
+ *
+ * @param {array} entries
+ * @return {string}
+ * @private
+ */
+const createTable = (entries) => {
+  if (entries.length === 0) {
+    return '<pre>(none)</pre>'
+  }
+
+  return '<table>' + entries.map((entry) => {
+    return '<tr><th>' + escapeHtml(entry[0]) + '</th><td>' + escapeHtml(String(entry[1])) + '</td></tr>'
+  }).join('') + '</table>'
+}
+
+/**
+ * Get the name and value pairs of an object.
+ *
+ * @param {object} [obj]
+ * @return {array}
+ * @private
+ */
+const getEntries = (obj) => {
+  if (!obj) {
+    return []
+  }
+
+  return Object.keys(obj).map((name) => [name, obj[name]])
+}
+
+/**
+ * Get the parsed query string of the request.
+ *
+ * @param {IncomingMessage} req
+ * @return {object}
+ * @private
+ */
+const getQuery = (req) => {
+  try {
+    return querystring.parse(parseUrl.original(req).query || '')
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Get source lines around a line of a file.
+ *
+ * @param {string} file
+ * @param {number} line
+ * @param {object} cache
+ * @return {array}
+ * @private
+ */
+const getSourceLines = (file, line, cache) => {
+  if (cache[file] === undefined) {
+    try {
+      cache[file] = fs.readFileSync(file, 'utf8').split(/\r?\n/)
+    } catch (e) {
+      cache[file] = null
+    }
+  }
+
+  if (!cache[file] || line > cache[file].length) {
+    return undefined
+  }
+
+  const start = Math.max(line - SOURCE_CONTEXT, 1)
+  const end = Math.min(line + SOURCE_CONTEXT, cache[file].length)
+  const lines = []
+
+  for (let number = start; number <= end; number++) {
+    lines.push({ number: number, text: cache[file][number - 1] })
+  }
+
+  return lines
+}
+
+/**
+ * Parse the stack of an error into frames.
+ *
+ * @param {Error} err
+ * @return {array}
+ * @private
+ */
+const getStackFrames = (err) => {
+  if (!err || typeof err.stack !== 'string') {
+    return []
+  }
+
+  const cache = Object.create(null)
+  const frames = []
+  const lines = err.stack.split('\n')
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = FRAME_REGEXP.exec(lines[i])
+
+    if (!match) {
+      continue
+    }
+
+    const frame = {
+      name: match[1],
+      file: match[2],
+      line: Number(match[3]),
+      column: Number(match[4]),
+      source: undefined
+    }
+
+    if (isApplicationFile(frame.file)) {
+      frame.source = getSourceLines(toPath(frame.file), frame.line, cache)
+    }
+
+    frames.push(frame)
+  }
+
+  return frames
+}
+
+/**
+ * Determine if a file of a stack frame belongs to the application.
+ *
+ * @param {string} file
+ * @return {boolean}
+ * @private
+ */
+const isApplicationFile = (file) => {
+  const filePath = toPath(file)
+
+  return path.isAbsolute(filePath) && !NODE_MODULES_REGEXP.test(filePath)
+}
+
+/**
+ * Convert the file of a stack frame to a path.
+ *
+ * @param {string} file
+ * @return {string}
+ * @private
+ */
+const toPath = (file) => {
+  return file.indexOf('file://') === 0
+    ? url.fileURLToPath(file)
+    : file
+}
+
+/**
+ * Module exports.
+ * @public
+ */
+module.exports = createDevelopmentDocument
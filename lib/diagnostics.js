@@ -0,0 +1,63 @@
+/*!
+ * xprezzo-finalhandler
+ * Copyright(c) 2022 Cloudgen Wong <cloudgen.wong@gmail.com>
+ * MIT Licensed
+ *
+ * Diagnostics channels of the final handler.
+ */
+
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+let diagnosticsChannel
+
+try {
+  diagnosticsChannel = require('diagnostics_channel')
+} catch (e) {
+  // diagnostics_channel is not supported
+  diagnosticsChannel = undefined
+}
+
+/**
+ * Prefix of the channel names.
+ * @private
+ */
+const PREFIX = 'xprezzo:finalhandler:'
+
+/**
+ * Create a channel, or a channel without subscribers when
+ * `diagnostics_channel` is not supported.
+ *
+ * @param {string} name
+ * @return {object}
+ * @private
+ */
+const createChannel = (name) => {
+  if (!diagnosticsChannel) {
+    return {
+      name: PREFIX + name,
+      hasSubscribers: false,
+      publish: noop
+    }
+  }
+
+  return diagnosticsChannel.channel(PREFIX + name)
+}
+
+/**
+ * No-op function.
+ * @private
+ */
+const noop = () => {}
+
+/**
+ * Module exports.
+ * @public
+ */
+module.exports.error = createChannel('error')
+module.exports.response = createChannel('response')
+module.exports.start = createChannel('start')
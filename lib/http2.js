@@ -0,0 +1,180 @@
+/*!
+ * xprezzo-finalhandler
+ * Copyright(c) 2022 Cloudgen Wong <cloudgen.wong@gmail.com>
+ * MIT Licensed
+ *
+ * Adapt raw HTTP/2 streams to the request and response interface.
+ */
+
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * RST_STREAM codes, from `http2.constants`.
+ * @private
+ */
+const NGHTTP2_NO_ERROR = 0x0
+const NGHTTP2_INTERNAL_ERROR = 0x2
+
+/**
+ * Close an HTTP/2 stream without error, as for a request body that
+ * is no longer read after the response.
+ *
+ * @param {Http2Stream} stream
+ * @public
+ */
+const cancelStream = (stream) => {
+  resetStream(stream, NGHTTP2_NO_ERROR)
+}
+
+/**
+ * Close an HTTP/2 stream with an internal error.
+ *
+ * @param {Http2Stream} stream
+ * @public
+ */
+const closeStream = (stream) => {
+  resetStream(stream, NGHTTP2_INTERNAL_ERROR)
+}
+
+/**
+ * Create a request for a raw HTTP/2 stream.
+ *
+ * The body is read from the stream, so it is drained within the
+ * limits like the body of any other request.
+ *
+ * @param {Http2Stream} stream
+ * @param {object} headers
+ * @return {object}
+ * @public
+ */
+const createStreamRequest = (stream, headers) => {
+  const req = {
+    headers: headers,
+    httpVersion: '2.0',
+    httpVersionMajor: 2,
+    httpVersionMinor: 0,
+    method: headers[':method'],
+    socket: stream,
+    stream: stream,
+    url: headers[':path']
+  }
+
+  Object.defineProperty(req, 'complete', {
+    get: () => stream.readableEnded === true
+  })
+
+  Object.defineProperty(req, 'readable', {
+    get: () => stream.readable
+  })
+
+  const methods = ['on', 'once', 'pause', 'removeListener', 'resume', 'unpipe']
+
+  methods.forEach((method) => {
+    req[method] = function () {
+      stream[method].apply(stream, arguments)
+      return req
+    }
+  })
+
+  return req
+}
+
+/**
+ * Create a response for a raw HTTP/2 stream.
+ *
+ * The headers are sent with `stream.respond()` on the first write.
+ *
+ * @param {Http2Stream} stream
+ * @return {EventEmitter}
+ * @public
+ */
+const createStreamResponse = (stream) => {
+  const headers = Object.create(null)
+  const res = new EventEmitter()
+
+  const respond = () => {
+    if (!stream.headersSent && !stream.destroyed) {
+      stream.respond(Object.assign({ ':status': res.statusCode }, headers))
+    }
+  }
+
+  Object.defineProperty(res, 'headersSent', {
+    get: () => stream.headersSent
+  })
+
+  res.finished = false
+  res.statusCode = 200
+  res.stream = stream
+
+  res.destroy = () => closeStream(stream)
+  res.getHeader = (name) => headers[name.toLowerCase()]
+  res.getHeaderNames = () => Object.keys(headers)
+  res.removeHeader = (name) => { delete headers[name.toLowerCase()] }
+  res.setHeader = (name, value) => { headers[name.toLowerCase()] = value }
+
+  res.write = function () {
+    respond()
+    return stream.write.apply(stream, arguments)
+  }
+
+  res.end = function () {
+    respond()
+    res.finished = true
+    stream.end.apply(stream, arguments)
+
+    // close the stream when the request body is left unread
+    if (stream.readable) {
+      stream.once('finish', () => {
+        if (stream.readable) {
+          cancelStream(stream)
+        }
+      })
+    }
+  }
+
+  stream.once('close', () => {
+    res.finished = true
+    res.emit('finish')
+  })
+
+  return res
+}
+
+/**
+ * No-op function.
+ * @private
+ */
+const noop = () => {}
+
+/**
+ * Reset an HTTP/2 stream with a code.
+ *
+ * The error the stream emits for the reset is expected, so it is
+ * ignored.
+ *
+ * @param {Http2Stream} stream
+ * @param {number} code
+ * @private
+ */
+const resetStream = (stream, code) => {
+  if (!stream.destroyed && !stream.closed) {
+    stream.on('error', noop)
+    stream.close(code)
+  }
+}
+
+/**
+ * Module exports.
+ * @public
+ */
+module.exports.cancelStream = cancelStream
+module.exports.closeStream = closeStream
+module.exports.createStreamRequest = createStreamRequest
+module.exports.createStreamResponse = createStreamResponse
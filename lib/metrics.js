@@ -0,0 +1,256 @@
+/*!
+ * xprezzo-finalhandler
+ * Copyright(c) 2022 Cloudgen Wong <cloudgen.wong@gmail.com>
+ * MIT Licensed
+ *
+ * Collect metrics of the final handler.
+ */
+
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+
+const http = require('http')
+
+/**
+ * Module variables.
+ * @private
+ */
+const ERROR_LABEL_REGEXP = /^[A-Za-z_][\w.:-]{0,63}$/
+const LABEL_VALUE_REGEXP = /[\\"\n]/g
+
+/**
+ * Default buckets of the drain duration histogram, in seconds.
+ * @private
+ */
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * Default maximum number of distinct error labels.
+ * @private
+ */
+const MAX_ERROR_LABELS = 64
+
+/**
+ * Content type of the Prometheus text format.
+ * @private
+ */
+const PROMETHEUS_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+/**
+ * Create a collector of metrics, for the `metrics` option.
+ *
+ * The labels have bounded values: unknown methods are `OTHER` and
+ * errors beyond the maximum number of distinct labels are `other`.
+ *
+ * @param {object} [options]
+ * @return {object}
+ * @public
+ */
+const createMetrics = (options) => {
+  const opts = options || {}
+
+  if (typeof opts !== 'object') {
+    throw new TypeError('argument options must be an object')
+  }
+
+  const buckets = getBuckets(opts.buckets)
+  const maxErrorLabels = opts.maxErrorLabels !== undefined
+    ? opts.maxErrorLabels
+    : MAX_ERROR_LABELS
+
+  if (!Number.isInteger(maxErrorLabels) || maxErrorLabels < 0) {
+    throw new TypeError('option maxErrorLabels must be a non-negative integer')
+  }
+
+  const drains = new Map()
+  const errorLabels = new Set()
+  const responses = new Map()
+  let headersSent = 0
+
+  const getErrorLabel = (err) => {
+    if (!err) {
+      return 'none'
+    }
+
+    const name = typeof err.code === 'string'
+      ? err.code
+      : err.constructor && err.constructor.name
+
+    if (typeof name !== 'string' || !ERROR_LABEL_REGEXP.test(name)) {
+      return 'other'
+    }
+
+    if (!errorLabels.has(name)) {
+      if (errorLabels.size >= maxErrorLabels) {
+        return 'other'
+      }
+
+      errorLabels.add(name)
+    }
+
+    return name
+  }
+
+  const metrics = () => {
+    return {
+      responses: Array.from(responses.values(), (entry) => Object.assign({}, entry)),
+      headersSent: headersSent,
+      drainDuration: Array.from(drains.values(), (entry) => ({
+        result: entry.result,
+        buckets: buckets.map((le, i) => ({ le: le, count: entry.counts[i] })),
+        sum: entry.sum,
+        count: entry.count
+      }))
+    }
+  }
+
+  return {
+    countHeadersSent: () => {
+      headersSent++
+    },
+    countResponse: (req, err, status) => {
+      const labels = {
+        status: status,
+        class: Math.floor(status / 100) + 'xx',
+        method: http.METHODS.indexOf(req.method) !== -1 ? req.method : 'OTHER',
+        error: getErrorLabel(err)
+      }
+      const key = [labels.status, labels.method, labels.error].join(' ')
+      const entry = responses.get(key)
+
+      if (entry) {
+        entry.count++
+      } else {
+        responses.set(key, Object.assign(labels, { count: 1 }))
+      }
+    },
+    handler: (req, res) => {
+      const body = formatMetrics(metrics())
+
+      res.statusCode = 200
+      res.setHeader('Content-Type', PROMETHEUS_TYPE)
+      res.setHeader('Content-Length', Buffer.byteLength(body, 'utf8'))
+      res.end(req.method === 'HEAD' ? undefined : body, 'utf8')
+    },
+    metrics: metrics,
+    observeDrain: (result, seconds) => {
+      let entry = drains.get(result)
+
+      if (!entry) {
+        entry = { result: result, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        drains.set(result, entry)
+      }
+
+      for (let i = 0; i < buckets.length; i++) {
+        if (seconds <= buckets[i]) {
+          entry.counts[i]++
+        }
+      }
+
+      entry.sum += seconds
+      entry.count++
+    }
+  }
+}
+
+/**
+ * Escape a character of a label value.
+ *
+ * @param {string} char
+ * @return {string}
+ * @private
+ */
+const escapeLabelChar = (char) => {
+  return char === '\n' ? '\\n' : '\\' + char
+}
+
+/**
+ * Format labels in the Prometheus text format.
+ *
+ * @param {object} labels
+ * @return {string}
+ * @private
+ */
+const formatLabels = (labels) => {
+  return '{' + Object.keys(labels).map((name) => {
+    return name + '="' + String(labels[name]).replace(LABEL_VALUE_REGEXP, escapeLabelChar) + '"'
+  }).join(',') + '}'
+}
+
+/**
+ * Format a snapshot of metrics in the Prometheus text format.
+ *
+ * @param {object} snapshot
+ * @return {string}
+ * @private
+ */
+const formatMetrics = (snapshot) => {
+  const lines = [
+    '# HELP finalhandler_responses_total Responses of the final handler.',
+    '# TYPE finalhandler_responses_total counter'
+  ]
+
+  snapshot.responses.forEach((entry) => {
+    lines.push('finalhandler_responses_total' + formatLabels({
+      status: entry.status,
+      class: entry.class,
+      method: entry.method,
+      error: entry.error
+    }) + ' ' + entry.count)
+  })
+
+  lines.push(
+    '# HELP finalhandler_headers_sent_total Errors after the headers were sent.',
+    '# TYPE finalhandler_headers_sent_total counter',
+    'finalhandler_headers_sent_total ' + snapshot.headersSent,
+    '# HELP finalhandler_drain_duration_seconds Time to drain the request body.',
+    '# TYPE finalhandler_drain_duration_seconds histogram'
+  )
+
+  snapshot.drainDuration.forEach((entry) => {
+    entry.buckets.forEach((bucket) => {
+      lines.push('finalhandler_drain_duration_seconds_bucket' +
+        formatLabels({ result: entry.result, le: bucket.le }) + ' ' + bucket.count)
+    })
+
+    lines.push(
+      'finalhandler_drain_duration_seconds_bucket' +
+        formatLabels({ result: entry.result, le: '+Inf' }) + ' ' + entry.count,
+      'finalhandler_drain_duration_seconds_sum' +
+        formatLabels({ result: entry.result }) + ' ' + entry.sum,
+      'finalhandler_drain_duration_seconds_count' +
+        formatLabels({ result: entry.result }) + ' ' + entry.count
+    )
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Get the buckets of the drain duration histogram from an option.
+ *
+ * @param {array} [buckets]
+ * @return {array}
+ * @private
+ */
+const getBuckets = (buckets) => {
+  if (buckets === undefined) {
+    return BUCKETS
+  }
+
+  if (!Array.isArray(buckets) || !buckets.every((le) => typeof le === 'number' && isFinite(le))) {
+    throw new TypeError('option buckets must be an array of finite numbers')
+  }
+
+  return buckets.slice().sort((a, b) => a - b)
+}
+
+/**
+ * Module exports.
+ * @public
+ */
+module.exports = createMetrics
@@ -0,0 +1,201 @@
+/*!
+ * xprezzo-finalhandler
+ * Copyright(c) 2022 Cloudgen Wong <cloudgen.wong@gmail.com>
+ * MIT Licensed
+ *
+ * Create functions to redact secrets from error output.
+ */
+
+'use strict'
+
+/**
+ * Module variables.
+ * @private
+ */
+const REGEXP_SPECIAL_CHARS_REGEXP = /[\\^$.*+?()[\]{}|]/g
+
+/**
+ * The replacement for redacted values.
+ * @private
+ */
+const REDACTED = '[REDACTED]'
+
+/**
+ * Default names of headers to redact.
+ * @private
+ */
+const HEADERS = [
+  'authorization',
+  'cookie',
+  'proxy-authorization',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token'
+]
+
+/**
+ * Default names of query parameters to redact.
+ * @private
+ */
+const QUERY = [
+  'access_token',
+  'api_key',
+  'apikey',
+  'client_secret',
+  'password',
+  'secret',
+  'token'
+]
+
+/**
+ * Default patterns to redact from text.
+ * @private
+ */
+const PATTERNS = [
+  /\b(?:Basic|Bearer) [A-Za-z0-9._~+/-]+=*/g
+]
+
+/**
+ * Create functions to redact secrets.
+ *
+ * The rules are added to the default rules. When the rules are
+ * `false`, the functions return their input as-is.
+ *
+ * @param {object|boolean} [rules]
+ * @return {object}
+ * @public
+ */
+const createRedactor = (rules) => {
+  if (rules === false) {
+    return {
+      headers: (headers) => headers,
+      query: (query) => query,
+      text: (text) => text
+    }
+  }
+
+  if (rules !== undefined && (!rules || typeof rules !== 'object')) {
+    throw new TypeError('option redact must be an object or false')
+  }
+
+  const opts = rules || {}
+  const headers = getNames(HEADERS, opts.headers, 'headers')
+  const query = getNames(QUERY, opts.query, 'query')
+  const patterns = PATTERNS.concat(getPatterns(opts.patterns))
+
+  // matches "name: value" and "name=value" of headers in text
+  const headerRegExp = new RegExp('(\\b(?:' + headers.map(escapeRegExp).join('|') + ')\\s*[:=]\\s*)[^\\r\\n]+', 'gi')
+
+  // matches "name=value" of query parameters in text
+  const queryRegExp = new RegExp('([?&;](?:' + query.map(escapeRegExp).join('|') + ')=)[^&#\\s]*', 'gi')
+
+  return {
+    headers: (obj) => redactObject(obj, headers),
+    query: (obj) => redactObject(obj, query),
+    text: (text) => {
+      if (typeof text !== 'string') {
+        return text
+      }
+
+      let str = text
+        .replace(headerRegExp, '$1' + REDACTED)
+        .replace(queryRegExp, '$1' + REDACTED)
+
+      for (let i = 0; i < patterns.length; i++) {
+        str = str.replace(patterns[i], REDACTED)
+      }
+
+      return str
+    }
+  }
+}
+
+/**
+ * Escape a string for use in a regular expression.
+ *
+ * @param {string} str
+ * @return {string}
+ * @private
+ */
+const escapeRegExp = (str) => {
+  return str.replace(REGEXP_SPECIAL_CHARS_REGEXP, '\\$&')
+}
+
+/**
+ * Get the lower-case names of a rule, added to the defaults.
+ *
+ * @param {array} defaults
+ * @param {array} [names]
+ * @param {string} rule
+ * @return {array}
+ * @private
+ */
+const getNames = (defaults, names, rule) => {
+  if (names === undefined) {
+    return defaults
+  }
+
+  if (!Array.isArray(names)) {
+    throw new TypeError('option redact.' + rule + ' must be an array')
+  }
+
+  return defaults.concat(names.map((name) => String(name).toLowerCase()))
+}
+
+/**
+ * Get the global regular expressions of the patterns rule.
+ *
+ * @param {array} [patterns]
+ * @return {array}
+ * @private
+ */
+const getPatterns = (patterns) => {
+  if (patterns === undefined) {
+    return []
+  }
+
+  if (!Array.isArray(patterns)) {
+    throw new TypeError('option redact.patterns must be an array')
+  }
+
+  return patterns.map((pattern) => {
+    if (!(pattern instanceof RegExp)) {
+      throw new TypeError('option redact.patterns must only contain RegExp')
+    }
+
+    return pattern.global
+      ? pattern
+      : new RegExp(pattern.source, pattern.flags + 'g')
+  })
+}
+
+/**
+ * Copy an object, redacting the values of the given names.
+ *
+ * @param {object} [obj]
+ * @param {array} names
+ * @return {object}
+ * @private
+ */
+const redactObject = (obj, names) => {
+  if (!obj || typeof obj !== 'object') {
+    return obj
+  }
+
+  const copy = Object.create(null)
+  const keys = Object.keys(obj)
+
+  for (let i = 0; i < keys.length; i++) {
+    copy[keys[i]] = names.indexOf(keys[i].toLowerCase()) !== -1
+      ? REDACTED
+      : obj[keys[i]]
+  }
+
+  return copy
+}
+
+/**
+ * Module exports.
+ * @public
+ */
+module.exports = createRedactor
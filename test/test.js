@@ -1,6 +1,11 @@
 const Buffer = require('xprezzo-buffer').Buffer
+const EventEmitter = require('events').EventEmitter
 const finalhandler = require('..')
+const fs = require('fs')
 const http = require('http')
+const http2 = require('http2')
+const os = require('os')
+const path = require('path')
 const utils = require('./support/utils')
 
 const assert = utils.assert
@@ -13,6 +18,8 @@ const shouldHaveStatusMessage = utils.shouldHaveStatusMessage
 const shouldNotHaveBody = utils.shouldNotHaveBody
 const shouldNotHaveHeader = utils.shouldNotHaveHeader
 
+const FIXTURES_DIR = path.join(__dirname, 'fixtures')
+
 let describeStatusMessage = !/statusMessage/.test(http.IncomingMessage.toString())
   ? describe.skip
   : describe
@@ -77,6 +84,330 @@ describe('finalhandler(req, res)', function () {
         .get('/')
         .expect(500, done)
     })
+
+    it('should not include denied err.headers', function (done) {
+      request(createServer(createError('oops!', {
+        headers: {
+          'Content-Length': '1',
+          'Content-Type': 'image/png',
+          'Set-Cookie': 'session=evil',
+          'X-Custom-Header': 'foo'
+        },
+        status: 500
+      })))
+        .get('/')
+        .expect(shouldNotHaveHeader('set-cookie'))
+        .expect('Content-Type', /^text\/html/)
+        .expect('X-Custom-Header', 'foo')
+        .expect(500, /Error: oops!/, done)
+    })
+
+    it('should ignore err.headers with invalid name', function (done) {
+      request(createServer(createError('oops!', {
+        headers: { 'X Custom': 'foo', 'X-Custom-Header': 'bar' },
+        status: 500
+      })))
+        .get('/')
+        .expect('X-Custom-Header', 'bar')
+        .expect(500, done)
+    })
+
+    it('should ignore err.headers with invalid value', function (done) {
+      request(createServer(createError('oops!', {
+        headers: { 'X-Bad': 'foo\r\nX-Injected: bar', 'X-Empty': [], 'X-Object': {}, 'X-Good': ['a', 'b'] },
+        status: 500
+      })))
+        .get('/')
+        .expect(shouldNotHaveHeader('x-bad'))
+        .expect(shouldNotHaveHeader('x-injected'))
+        .expect(shouldNotHaveHeader('x-empty'))
+        .expect(shouldNotHaveHeader('x-object'))
+        .expect('X-Good', 'a, b')
+        .expect(500, done)
+    })
+
+    it('should only include err.headers in options.errorHeaders.allow', function (done) {
+      request(createServer(createError('too many requests', {
+        headers: { 'Retry-After': '5', 'X-Custom-Header': 'foo' },
+        status: 429
+      }), { errorHeaders: { allow: ['retry-after'] } }))
+        .get('/')
+        .expect('Retry-After', '5')
+        .expect(shouldNotHaveHeader('x-custom-header'))
+        .expect(429, done)
+    })
+
+    it('should include default denied err.headers in options.errorHeaders.allow', function (done) {
+      request(createServer(createError('oops!', {
+        headers: { 'Set-Cookie': 'session=; Max-Age=0' },
+        status: 401
+      }), { errorHeaders: { allow: ['Set-Cookie'] }, redact: false }))
+        .get('/')
+        .expect('Set-Cookie', 'session=; Max-Age=0')
+        .expect(401, done)
+    })
+
+    it('should not include err.headers in options.errorHeaders.deny', function (done) {
+      request(createServer(createError('oops!', {
+        headers: { 'X-Custom-Header': 'foo', 'X-Other': 'bar' },
+        status: 500
+      }), { errorHeaders: { deny: ['X-Custom-Header'] } }))
+        .get('/')
+        .expect(shouldNotHaveHeader('x-custom-header'))
+        .expect('X-Other', 'bar')
+        .expect(500, done)
+    })
+
+    it('should reject invalid options.errorHeaders', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { errorHeaders: 'none' })
+      }, /option errorHeaders must be an object/)
+      assert.throws(function () {
+        finalhandler({}, {}, { errorHeaders: { allow: 'Retry-After' } })
+      }, /option errorHeaders.allow must be an array/)
+      assert.throws(function () {
+        finalhandler({}, {}, { errorHeaders: { deny: 'Set-Cookie' } })
+      }, /option errorHeaders.deny must be an array/)
+    })
+  })
+
+  describe('caching and connection headers', function () {
+    function keepAliveRequest (server, callback) {
+      const agent = new http.Agent({ keepAlive: true })
+
+      server.listen(function () {
+        http.get({ agent: agent, host: '127.0.0.1', path: '/foo', port: this.address().port }, function (res) {
+          res.resume()
+          res.on('end', function () {
+            agent.destroy()
+            server.close()
+            callback(null, res)
+          })
+        }).on('error', callback)
+      })
+    }
+
+    it('should remove representation headers set before the error', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Content-Disposition', 'attachment; filename="report.pdf"')
+        res.setHeader('Content-Encoding', 'gzip')
+        res.setHeader('ETag', '"abc"')
+        res.setHeader('Last-Modified', 'Tue, 01 Jan 2030 00:00:00 GMT')
+        next(new Error('boom!'))
+      }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('content-disposition'))
+        .expect(shouldNotHaveHeader('content-encoding'))
+        .expect(shouldNotHaveHeader('etag'))
+        .expect(shouldNotHaveHeader('last-modified'))
+        .expect(500, /<pre>Error: boom!/, done)
+    })
+
+    it('should keep representation headers from err.headers', function (done) {
+      request(createServer(createError('gone', {
+        headers: { ETag: '"gone"' },
+        status: 410
+      })))
+        .get('/foo')
+        .expect('ETag', '"gone"')
+        .expect(410, done)
+    })
+
+    it('should set Cache-Control: no-store on 5xx', function (done) {
+      request(createServer(createError('unavailable', { status: 503 })))
+        .get('/foo')
+        .expect('Cache-Control', 'no-store')
+        .expect(503, done)
+    })
+
+    it('should override Cache-Control set before the error on 5xx', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Cache-Control', 'public, max-age=3600')
+        next(new Error('boom!'))
+      }))
+        .get('/foo')
+        .expect('Cache-Control', 'no-store')
+        .expect(500, done)
+    })
+
+    it('should not set Cache-Control on 404 by default', function (done) {
+      request(createServer())
+        .get('/foo')
+        .expect(shouldNotHaveHeader('cache-control'))
+        .expect(404, done)
+    })
+
+    it('should remove Cache-Control set before the error on 404', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Cache-Control', 'public, max-age=86400')
+        next()
+      }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('cache-control'))
+        .expect(404, done)
+    })
+
+    it('should remove Cache-Control set before the error on 4xx', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Cache-Control', 'public, max-age=86400')
+        next(createError('bad', { status: 400 }))
+      }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('cache-control'))
+        .expect(400, done)
+    })
+
+    it('should replace Cache-Control set before the error with options.notFoundMaxAge', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Cache-Control', 'public, max-age=86400')
+        next()
+      }, { notFoundMaxAge: 60 }))
+        .get('/foo')
+        .expect('Cache-Control', 'public, max-age=60')
+        .expect(404, done)
+    })
+
+    it('should set Cache-Control on 404 with options.notFoundMaxAge', function (done) {
+      request(createServer(null, { notFoundMaxAge: 60 }))
+        .get('/foo')
+        .expect('Cache-Control', 'public, max-age=60')
+        .expect(404, done)
+    })
+
+    it('should not cache other statuses with options.notFoundMaxAge', function (done) {
+      request(createServer(createError('bad', { status: 400 }), { notFoundMaxAge: 60 }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('cache-control'))
+        .expect(400, done)
+    })
+
+    it('should reject invalid options.notFoundMaxAge', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { notFoundMaxAge: '60' })
+      }, /option notFoundMaxAge must be a non-negative integer/)
+      assert.throws(function () {
+        finalhandler({}, {}, { notFoundMaxAge: -1 })
+      }, /option notFoundMaxAge must be a non-negative integer/)
+    })
+
+    it('should set Connection: close on 5xx with options.closeConnection', function (done) {
+      keepAliveRequest(createServer(new Error('boom!'), { closeConnection: true }), function (err, res) {
+        if (err) return done(err)
+        assert.strictEqual(res.statusCode, 500)
+        assert.strictEqual(res.headers.connection, 'close')
+        done()
+      })
+    })
+
+    it('should keep connection on 5xx by default', function (done) {
+      keepAliveRequest(createServer(new Error('boom!')), function (err, res) {
+        if (err) return done(err)
+        assert.strictEqual(res.statusCode, 500)
+        assert.strictEqual(res.headers.connection, 'keep-alive')
+        done()
+      })
+    })
+
+    it('should keep connection on 4xx with options.closeConnection', function (done) {
+      keepAliveRequest(createServer(null, { closeConnection: true }), function (err, res) {
+        if (err) return done(err)
+        assert.strictEqual(res.statusCode, 404)
+        assert.strictEqual(res.headers.connection, 'keep-alive')
+        done()
+      })
+    })
+  })
+
+  describe('security headers', function () {
+    it('should use the strict preset by default', function (done) {
+      request(createServer(new Error('boom!')))
+        .get('/foo')
+        .expect('Content-Security-Policy', "default-src 'none'")
+        .expect('Cross-Origin-Opener-Policy', 'same-origin')
+        .expect('Cross-Origin-Resource-Policy', 'same-origin')
+        .expect('Referrer-Policy', 'no-referrer')
+        .expect('Strict-Transport-Security', 'max-age=31536000')
+        .expect('X-Content-Type-Options', 'nosniff')
+        .expect('X-Frame-Options', 'DENY')
+        .expect(500, done)
+    })
+
+    it('should use the compatible preset by name', function (done) {
+      request(createServer(new Error('boom!'), { securityHeaders: 'compatible' }))
+        .get('/foo')
+        .expect('Content-Security-Policy', "default-src 'none'")
+        .expect('Cross-Origin-Opener-Policy', 'same-origin-allow-popups')
+        .expect('Referrer-Policy', 'strict-origin-when-cross-origin')
+        .expect('X-Frame-Options', 'SAMEORIGIN')
+        .expect(shouldNotHaveHeader('cross-origin-resource-policy'))
+        .expect(shouldNotHaveHeader('strict-transport-security'))
+        .expect(500, done)
+    })
+
+    it('should add and override headers', function (done) {
+      request(createServer(null, {
+        securityHeaders: {
+          headers: {
+            'Permissions-Policy': 'camera=(), microphone=()',
+            'strict-transport-security': 'max-age=63072000; includeSubDomains'
+          }
+        }
+      }))
+        .get('/foo')
+        .expect('Permissions-Policy', 'camera=(), microphone=()')
+        .expect('Strict-Transport-Security', 'max-age=63072000; includeSubDomains')
+        .expect(404, done)
+    })
+
+    it('should remove headers set to false', function (done) {
+      request(createServer(null, {
+        securityHeaders: { preset: 'strict', headers: { 'X-Frame-Options': false } }
+      }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('x-frame-options'))
+        .expect('X-Content-Type-Options', 'nosniff')
+        .expect(404, done)
+    })
+
+    it('should relax Content-Security-Policy directives', function (done) {
+      request(createServer(null, {
+        securityHeaders: {
+          contentSecurityPolicy: {
+            'img-src': ["'self'", 'data:'],
+            'style-src': "'self'"
+          }
+        }
+      }))
+        .get('/foo')
+        .expect('Content-Security-Policy', "default-src 'none'; img-src 'self' data:; style-src 'self'")
+        .expect(404, done)
+    })
+
+    it('should keep the nonce of renderDevelopment', function (done) {
+      request(createServer(new Error('boom!'), {
+        render: finalhandler.renderDevelopment,
+        securityHeaders: { contentSecurityPolicy: { 'style-src': "'self'" } }
+      }))
+        .get('/foo')
+        .set('Accept', 'text/html')
+        .expect('Content-Security-Policy', /^default-src 'none'; style-src 'self' 'nonce-[^']+'$/)
+        .expect(500, done)
+    })
+
+    it('should reject invalid options.securityHeaders', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { securityHeaders: true })
+      }, /option securityHeaders must be a string or an object/)
+      assert.throws(function () {
+        finalhandler({}, {}, { securityHeaders: 'lax' })
+      }, /option securityHeaders.preset must be one of compatible, strict/)
+      assert.throws(function () {
+        finalhandler({}, {}, { securityHeaders: { headers: 'none' } })
+      }, /option securityHeaders.headers must be an object/)
+      assert.throws(function () {
+        finalhandler({}, {}, { securityHeaders: { contentSecurityPolicy: { 'img-src': 1 } } })
+      }, /option securityHeaders.contentSecurityPolicy values must be strings or false/)
+    })
   })
 
   describe('status code', function () {
@@ -294,6 +625,61 @@ describe('finalhandler(req, res)', function () {
     })
   })
 
+  describe('allowed methods', function () {
+    it('should 405 when method not in options.allowedMethods', function (done) {
+      request(createServer(null, { allowedMethods: ['get', 'post'] }))
+        .delete('/foo')
+        .expect('Allow', 'GET, HEAD, POST, OPTIONS')
+        .expect(405, /<pre>Cannot DELETE \/foo<\/pre>/, done)
+    })
+
+    it('should use req.allowedMethods', function (done) {
+      const server = createServer(function (req, res, next) {
+        req.allowedMethods = ['PUT']
+        next()
+      })
+
+      request(server)
+        .get('/foo')
+        .expect('Allow', 'PUT, OPTIONS')
+        .expect(405, done)
+    })
+
+    it('should 404 when method is allowed', function (done) {
+      request(createServer(null, { allowedMethods: ['GET'] }))
+        .head('/foo')
+        .expect(shouldNotHaveHeader('Allow'))
+        .expect(404, done)
+    })
+
+    it('should 204 for OPTIONS', function (done) {
+      request(createServer(null, { allowedMethods: ['GET', 'PATCH'] }))
+        .options('/foo')
+        .expect('Allow', 'GET, HEAD, PATCH, OPTIONS')
+        .expect(shouldNotHaveHeader('Content-Type'))
+        .expect(204, '', done)
+    })
+
+    it('should 404 for OPTIONS without allowed methods', function (done) {
+      request(createServer())
+        .options('/foo')
+        .expect(404, done)
+    })
+
+    it('should not 405 on error', function (done) {
+      request(createServer(createError('boom!'), { allowedMethods: ['GET'] }))
+        .post('/foo')
+        .expect(shouldNotHaveHeader('Allow'))
+        .expect(500, done)
+    })
+
+    it('should reject non-array options.allowedMethods', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { allowedMethods: 'GET' })
+      }, /option allowedMethods must be an array/)
+    })
+  })
+
   describe('error response', function () {
     it('should include error stack', function (done) {
       request(createServer(createError('boom!')))
@@ -323,6 +709,53 @@ describe('finalhandler(req, res)', function () {
         .expect(500, done)
     })
 
+    it('should include error cause chain', function (done) {
+      const err = createError('query failed', {
+        cause: createError('connect ECONNREFUSED', {
+          cause: 'socket closed'
+        })
+      })
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /^Error: query failed\n {4}at [^]*\n {2}\[cause\]: Error: connect ECONNREFUSED\n {6}at [^]*\n {4}\[cause\]: socket closed$/, done)
+    })
+
+    it('should include aggregated errors', function (done) {
+      const err = createError('many', {
+        errors: [createError('one'), createError('two')]
+      })
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /\n {2}\[errors\]\[0\]: Error: one\n[^]*\n {2}\[errors\]\[1\]: Error: two\n/, done)
+    })
+
+    it('should handle circular error causes', function (done) {
+      const err = createError('loop')
+      err.cause = createError('back', { cause: err })
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /\n {4}\[cause\]: \[Circular\]$/, done)
+    })
+
+    it('should limit the depth of error causes', function (done) {
+      let err = createError('root')
+
+      for (let i = 0; i < 20; i++) {
+        err = createError('wrap ' + i, { cause: err })
+      }
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /\[cause\]: \[\.\.\.\]$/, done)
+    })
+
     it('should handle non-error-objects', function (done) {
       request(createServer('lame string'))
         .get('/foo')
@@ -346,6 +779,78 @@ describe('finalhandler(req, res)', function () {
         .expect(501, /<pre>Not Implemented<\/pre>/, done)
     })
 
+    describe('when production', function () {
+      it('should send err.message for 4xx', function (done) {
+        request(createServer(createError('email is required', { status: 422 }), {
+          env: 'production'
+        }))
+          .get('/foo')
+          .expect(422, /<pre>email is required<\/pre>/, done)
+      })
+
+      it('should not send err.message for 5xx', function (done) {
+        request(createServer(createError('db password wrong', { status: 500 }), {
+          env: 'production'
+        }))
+          .get('/foo')
+          .expect(500, /<pre>Internal Server Error<\/pre>/, done)
+      })
+
+      it('should send err.message when err.expose is true', function (done) {
+        request(createServer(createError('try again later', { status: 503, expose: true }), {
+          env: 'production'
+        }))
+          .get('/foo')
+          .expect(503, /<pre>try again later<\/pre>/, done)
+      })
+
+      it('should not send err.message when err.expose is false', function (done) {
+        request(createServer(createError('user 42 is banned', { status: 403, expose: false }), {
+          env: 'production'
+        }))
+          .get('/foo')
+          .expect(403, /<pre>Forbidden<\/pre>/, done)
+      })
+
+      it('should respect options.expose', function (done) {
+        request(createServer(createError('email is required', { status: 422 }), {
+          env: 'production',
+          expose: { '4xx': false }
+        }))
+          .get('/foo')
+          .expect(422, /<pre>Unprocessable Entity<\/pre>/, done)
+      })
+
+      it('should not send err.message for res.statusCode fallback', function (done) {
+        const server = createServer(function (req, res, next) {
+          res.statusCode = 404
+          next(new Error('connect to db://admin:pw@10.0.0.3 failed'))
+        }, {
+          env: 'production'
+        })
+
+        request(server)
+          .get('/foo')
+          .expect(function (res) {
+            assert.ok(res.text.indexOf('10.0.0.3') === -1)
+          })
+          .expect(404, /<pre>Not Found<\/pre>/, done)
+      })
+
+      it('should send err.message for res.statusCode fallback when err.expose is true', function (done) {
+        const server = createServer(function (req, res, next) {
+          res.statusCode = 409
+          next(createError('name is taken', { expose: true }))
+        }, {
+          env: 'production'
+        })
+
+        request(server)
+          .get('/foo')
+          .expect(409, /<pre>name is taken<\/pre>/, done)
+      })
+    })
+
     describe('when there is a request body', function () {
       it('should not hang/error when unread', function (done) {
         let buf = Buffer.alloc(1024 * 16, '.')
@@ -373,35 +878,241 @@ describe('finalhandler(req, res)', function () {
         test.expect(500, done)
       })
 
-      it('should not hang/error when read', function (done) {
-        const buf = Buffer.alloc(1024 * 16, '.')
-        const server = createServer(function (req, res, next) {
-          // read off the request
-          req.once('end', function () {
-            next(new Error('boom!'))
+      describe('with options.drain', function () {
+        function upload (server, headers, chunks, callback) {
+          let called = false
+
+          function finish (err, res, body) {
+            if (called) return
+            called = true
+            server.close()
+            callback(err, res, body)
+          }
+
+          server.listen(function () {
+            const req = http.request({
+              headers: headers,
+              host: '127.0.0.1',
+              method: 'POST',
+              path: '/foo',
+              port: this.address().port
+            })
+
+            req.on('error', finish)
+            req.on('response', function (res) {
+              let body = ''
+              res.setEncoding('utf8')
+              res.on('data', function (s) { body += s })
+              res.on('end', function () { finish(null, res, body) })
+            })
+
+            chunks.forEach(function (chunk) {
+              req.write(chunk)
+            })
+          })
+        }
+
+        it('should respond when Content-Length exceeds limit', function (done) {
+          const server = createServer(new Error('boom!'), { drain: { limit: 1024 } })
+          upload(server, { 'Content-Length': '1048576' }, [Buffer.alloc(512, '.')], function (err, res) {
+            if (err) return done(err)
+            assert.strictEqual(res.statusCode, 500)
+            assert.strictEqual(res.headers.connection, 'close')
+            done()
           })
-          req.resume()
         })
-        const test = request(server).post('/foo')
-        test.write(buf)
-        test.write(buf)
-        test.write(buf)
-        test.expect(500, done)
-      })
-    })
 
-    describe('when res.statusCode set', function () {
-      it('should keep when >= 400', function (done) {
-        const server = http.createServer(function (req, res) {
-          const done = finalhandler(req, res)
-          res.statusCode = 503
-          done(new Error('oops'))
+        it('should respond when chunked body exceeds limit', function (done) {
+          const buf = Buffer.alloc(1024 * 16, '.')
+          const server = createServer(new Error('boom!'), { drain: { limit: 1024 } })
+          upload(server, { 'Transfer-Encoding': 'chunked' }, [buf, buf], function (err, res) {
+            if (err) return done(err)
+            assert.strictEqual(res.statusCode, 500)
+            assert.strictEqual(res.headers.connection, 'close')
+            done()
+          })
         })
 
-        request(server)
-          .get('/foo')
-          .expect(503, done)
-      })
+        it('should respond when body exceeds timeout', function (done) {
+          const server = createServer(new Error('boom!'), { drain: { timeout: 20 } })
+          upload(server, { 'Content-Length': '1048576' }, [Buffer.alloc(512, '.')], function (err, res) {
+            if (err) return done(err)
+            assert.strictEqual(res.statusCode, 500)
+            assert.strictEqual(res.headers.connection, 'close')
+            done()
+          })
+        })
+
+        it('should destroy the socket after responding', function (done) {
+          let socket
+          const server = createServer(function (req, res, next) {
+            socket = req.socket
+            next(new Error('boom!'))
+          }, { drain: { limit: 1024 } })
+
+          upload(server, { 'Content-Length': '1048576' }, [Buffer.alloc(512, '.')], function (err, res) {
+            if (err) return done(err)
+            setImmediate(function () {
+              assert.ok(socket.destroyed)
+              done()
+            })
+          })
+        })
+
+        it('should drain body within limits', function (done) {
+          const buf = Buffer.alloc(1024 * 16, '.')
+          const server = createServer(new Error('boom!'), { drain: { limit: 1024 * 64, timeout: 1000 } })
+          const test = request(server).post('/foo')
+          test.write(buf)
+          test.write(buf)
+          test.expect(500, done)
+        })
+
+        it('should emit errorDrain with the result', function (done) {
+          const app = new EventEmitter()
+          const results = []
+
+          app.on('errorDrain', function (obj) {
+            results.push(obj)
+          })
+
+          const server = createServer(new Error('boom!'), { app: app, drain: { limit: 1024 } })
+          upload(server, { 'Content-Length': '1048576' }, [Buffer.alloc(512, '.')], function (err) {
+            if (err) return done(err)
+            assert.strictEqual(results.length, 1)
+            assert.strictEqual(results[0].method, 'POST')
+            assert.strictEqual(results[0].url, '/foo')
+            assert.strictEqual(results[0].result, 'limit')
+            assert.strictEqual(results[0].bytes, 0)
+            done()
+          })
+        })
+
+        it('should emit errorDrain when drained', function (done) {
+          const app = new EventEmitter()
+          let payload
+
+          app.on('errorDrain', function (obj) {
+            payload = obj
+          })
+
+          const test = request(createServer(new Error('boom!'), { app: app })).post('/foo')
+          test.write(Buffer.alloc(1024, '.'))
+          test.expect(500, function (err) {
+            if (err) return done(err)
+            assert.strictEqual(payload.result, 'drained')
+            assert.strictEqual(payload.bytes, 1024)
+            done()
+          })
+        })
+
+        it('should invoke hooks before the body is drained', function (done) {
+          const app = new EventEmitter()
+          const events = []
+          let req
+
+          app.on('errorDispatch', function () {
+            events.push('errorDispatch')
+          })
+
+          const server = createServer(new Error('boom!'), {
+            app: app,
+            onerror: function () {
+              events.push('onerror')
+
+              // send the rest of the body
+              req.end(Buffer.alloc(5, '.'))
+            }
+          })
+
+          server.listen(function () {
+            req = http.request({
+              headers: { 'Content-Length': '10' },
+              host: '127.0.0.1',
+              method: 'POST',
+              path: '/foo',
+              port: this.address().port
+            })
+
+            req.on('error', done)
+            req.on('response', function (res) {
+              res.resume()
+              res.on('end', function () {
+                server.close()
+                assert.strictEqual(res.statusCode, 500)
+                assert.deepStrictEqual(events, ['errorDispatch', 'onerror'])
+                done()
+              })
+            })
+            req.write(Buffer.alloc(5, '.'))
+          })
+        })
+
+        it('should not time out with drain.timeout over the timer maximum', function (done) {
+          const app = new EventEmitter()
+          let payload
+
+          app.on('errorDrain', function (obj) {
+            payload = obj
+          })
+
+          const server = createServer(new Error('boom!'), {
+            app: app,
+            drain: { timeout: 30 * 24 * 60 * 60 * 1000 }
+          })
+          const test = request(server).post('/foo')
+          test.write(Buffer.alloc(1024, '.'))
+          setTimeout(function () {
+            test.expect(500, function (err) {
+              if (err) return done(err)
+              assert.strictEqual(payload.result, 'drained')
+              done()
+            })
+          }, 20)
+        })
+
+        it('should reject invalid drain option', function () {
+          assert.throws(function () {
+            finalhandler({}, {}, { drain: 'fast' })
+          }, /option drain must be an object/)
+          assert.throws(function () {
+            finalhandler({}, {}, { drain: { limit: -1 } })
+          }, /option drain.limit must be a non-negative number/)
+          assert.throws(function () {
+            finalhandler({}, {}, { drain: { timeout: '1s' } })
+          }, /option drain.timeout must be a non-negative number/)
+        })
+      })
+
+      it('should not hang/error when read', function (done) {
+        const buf = Buffer.alloc(1024 * 16, '.')
+        const server = createServer(function (req, res, next) {
+          // read off the request
+          req.once('end', function () {
+            next(new Error('boom!'))
+          })
+          req.resume()
+        })
+        const test = request(server).post('/foo')
+        test.write(buf)
+        test.write(buf)
+        test.write(buf)
+        test.expect(500, done)
+      })
+    })
+
+    describe('when res.statusCode set', function () {
+      it('should keep when >= 400', function (done) {
+        const server = http.createServer(function (req, res) {
+          const done = finalhandler(req, res)
+          res.statusCode = 503
+          done(new Error('oops'))
+        })
+
+        request(server)
+          .get('/foo')
+          .expect(503, done)
+      })
 
       it('should convert to 500 is not a number', function (done) {
         const server = http.createServer(function (req, res) {
@@ -457,55 +1168,2149 @@ describe('finalhandler(req, res)', function () {
     })
   })
 
-  describe('request started', function () {
-    it('should not respond', function (done) {
-      const server = http.createServer(function (req, res) {
-        const done = finalhandler(req, res)
-        res.statusCode = 301
-        res.write('0')
-        process.nextTick(function () {
-          res.end('1')
+  describe('content negotiation', function () {
+    it('should default to HTML without Accept', function (done) {
+      request(createServer())
+        .get('/foo')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(404, /<pre>Cannot GET \/foo<\/pre>/, done)
+    })
+
+    it('should respond with JSON when accepted', function (done) {
+      request(createServer(createError('nope', { status: 400 }), {
+        env: 'production'
+      }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', 'application/json; charset=utf-8')
+        .expect('Vary', 'Accept')
+        .expect(400, { status: 400, message: 'nope' }, done)
+    })
+
+    it('should append Accept to Vary set before the error', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Vary', 'Origin')
+        next(createError('nope', { status: 400 }))
+      }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect('Vary', 'Origin, Accept')
+        .expect(400, done)
+    })
+
+    it('should not repeat Accept in Vary', function (done) {
+      request(createServer(function (req, res, next) {
+        res.setHeader('Vary', ['Origin', 'accept'])
+        next()
+      }))
+        .get('/foo')
+        .expect('Vary', 'Origin, accept')
+        .expect(404, done)
+    })
+
+    it('should respond with plain text when accepted', function (done) {
+      request(createServer())
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('Content-Type', 'text/plain; charset=utf-8')
+        .expect(404, 'Cannot GET /foo', done)
+    })
+
+    it('should respect options.types order', function (done) {
+      request(createServer(null, { types: ['json', 'html'] }))
+        .get('/foo')
+        .set('Accept', '*/*')
+        .expect('Content-Type', 'application/json; charset=utf-8')
+        .expect(404, done)
+    })
+
+    it('should use options.defaultType when nothing matches', function (done) {
+      request(createServer(null, { defaultType: 'text' }))
+        .get('/foo')
+        .set('Accept', 'image/png')
+        .expect('Content-Type', 'text/plain; charset=utf-8')
+        .expect(404, 'Cannot GET /foo', done)
+    })
+
+    it('should reject unknown options.types', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { types: ['xml'] })
+      }, /unsupported response type "xml"/)
+    })
+  })
+
+  describe('problem details', function () {
+    it('should respond with application/problem+json', function (done) {
+      request(createServer(createError('boom!', { status: 503 }), {
+        env: 'production',
+        problem: true
+      }))
+        .get('/foo?bar=1')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', 'application/problem+json; charset=utf-8')
+        .expect(503, {
+          type: 'about:blank',
+          title: 'Service Unavailable',
+          status: 503,
+          detail: 'Service Unavailable',
+          instance: '/foo'
+        }, done)
+    })
+
+    it('should describe 404', function (done) {
+      request(createServer(null, { problem: true }))
+        .get('/foo')
+        .set('Accept', 'application/problem+json')
+        .expect('Content-Type', 'application/problem+json; charset=utf-8')
+        .expect(404, {
+          type: 'about:blank',
+          title: 'Not Found',
+          status: 404,
+          detail: 'Cannot GET /foo',
+          instance: '/foo'
+        }, done)
+    })
+
+    it('should include err.type and err.extensions', function (done) {
+      const err = createError('too large', {
+        status: 413,
+        type: 'https://example.com/problems/too-large',
+        extensions: { limit: 100, status: 200 }
+      })
+
+      request(createServer(err, { env: 'production', problem: true }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(413, {
+          type: 'https://example.com/problems/too-large',
+          title: 'Payload Too Large',
+          status: 413,
+          detail: 'too large',
+          instance: '/foo',
+          limit: 100
+        }, done)
+    })
+
+    it('should include relative err.type', function (done) {
+      const err = createError('out of credit', {
+        status: 403,
+        type: '/problems/out-of-credit'
+      })
+
+      request(createServer(err, { env: 'production', problem: true }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(403, {
+          type: '/problems/out-of-credit',
+          title: 'Forbidden',
+          status: 403,
+          detail: 'out of credit',
+          instance: '/foo'
+        }, done)
+    })
+
+    it('should include other err.type as errorType', function (done) {
+      const err = createError('Unexpected token } in JSON at position 9', {
+        status: 400,
+        type: 'entity.parse.failed'
+      })
+
+      request(createServer(err, { env: 'production', problem: true }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(400, {
+          type: 'about:blank',
+          title: 'Bad Request',
+          status: 400,
+          detail: 'Unexpected token } in JSON at position 9',
+          instance: '/foo',
+          errorType: 'entity.parse.failed'
+        }, done)
+    })
+
+    it('should keep HTML for browsers', function (done) {
+      request(createServer(null, { problem: true }))
+        .get('/foo')
+        .set('Accept', 'text/html')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(404, done)
+    })
+  })
+
+  describe('render', function () {
+    it('should use options.render output', function (done) {
+      function render (context) {
+        return {
+          body: '<h1>' + context.status + ' oops</h1>',
+          type: 'text/html; charset=utf-8'
+        }
+      }
+
+      request(createServer(createError('boom!', { status: 502 }), { render: render }))
+        .get('/foo')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect('Content-Length', '17')
+        .expect('Content-Security-Policy', "default-src 'none'")
+        .expect(502, '<h1>502 oops</h1>', done)
+    })
+
+    it('should provide the context', function (done) {
+      const err = createError('boom!', { status: 400, headers: { 'X-Foo': 'bar' } })
+      let context
+
+      function render (ctx) {
+        context = ctx
+        return '{"oops":true}'
+      }
+
+      request(createServer(err, { env: 'production', render: render }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', 'application/json; charset=utf-8')
+        .expect(400, { oops: true }, function (e) {
+          if (e) return done(e)
+          assert.strictEqual(context.err, err)
+          assert.strictEqual(context.status, 400)
+          assert.strictEqual(context.message, 'boom!')
+          assert.strictEqual(context.headers['X-Foo'], 'bar')
+          assert.strictEqual(context.env, 'production')
+          assert.strictEqual(context.type, 'json')
+          assert.ok(context.req)
+          assert.ok(context.res)
           done()
         })
-      })
-      request(server)
+    })
+
+    it('should accept Buffer bodies', function (done) {
+      function render () {
+        return { body: Buffer.from('oops'), type: 'text/plain' }
+      }
+
+      request(createServer(null, { render: render }))
+        .head('/foo')
+        .expect('Content-Length', '4')
+        .expect(shouldNotHaveBody())
+        .expect(404, done)
+    })
+
+    it('should allow wrapping the default renderer', function (done) {
+      function render (context) {
+        const output = finalhandler.render(context)
+        output.body = output.body.replace('<title>Error</title>', '<title>Acme</title>')
+        return output
+      }
+
+      request(createServer(null, { render: render }))
         .get('/foo')
-        .expect(301, '01', done)
+        .expect(404, /<title>Acme<\/title>/, done)
     })
 
-    it('should terminate on error', function (done) {
-      const server = http.createServer(function (req, res) {
-        const done = finalhandler(req, res)
-        res.statusCode = 301
-        res.write('0')
-        process.nextTick(function () {
-          done(createError('too many requests', {
-            status: 429,
-            headers: { 'Retry-After': '5' }
-          }))
+    it('should fallback to default renderer when render throws', function (done) {
+      function render () {
+        throw new Error('bad template')
+      }
+
+      request(createServer(null, { render: render }))
+        .get('/foo')
+        .expect(404, /<pre>Cannot GET \/foo<\/pre>/, done)
+    })
+
+    it('should reject non-function options.render', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { render: 'template.html' })
+      }, /option render must be function/)
+    })
+  })
+
+  describe('renderDevelopment(context)', function () {
+    it('should include source lines of application frames', function (done) {
+      const opts = { render: finalhandler.renderDevelopment }
+
+      request(createServer(createError('boom!'), opts))
+        .get('/foo')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(500, /<span class="line current">[^<]*createError\(&#39;boom!&#39;\), opts\)\)<\/span>/, done)
+    })
+
+    it('should not include source lines of dependencies', function (done) {
+      const opts = { render: finalhandler.renderDevelopment }
+
+      request(createServer(createError('boom!'), opts))
+        .get('/foo')
+        .expect(500, /<details class="vendor"><summary><code>[^<]*<\/code> <span class="file">[^<]*node_modules/, done)
+    })
+
+    it('should include request details', function (done) {
+      const opts = { render: finalhandler.renderDevelopment }
+
+      request(createServer(null, opts))
+        .get('/foo?bar=baz')
+        .set('X-Custom-Header', 'hello')
+        .expect(404, /<th>x-custom-header<\/th><td>hello<\/td>[^]*<th>bar<\/th><td>baz<\/td>/, done)
+    })
+
+    it('should allow nonce styles in Content-Security-Policy', function (done) {
+      const opts = { render: finalhandler.renderDevelopment }
+
+      request(createServer(createError('boom!'), opts))
+        .get('/foo')
+        .expect(500)
+        .expect(function (res) {
+          const match = /^default-src 'none'; style-src 'nonce-([^']+)'$/.exec(res.headers['content-security-policy'])
+          assert.ok(match, 'should have nonce in Content-Security-Policy')
+          assert.ok(res.text.indexOf('<style nonce="' + match[1] + '">') !== -1, 'should have nonce on style')
         })
+        .end(done)
+    })
+
+    it('should use default renderer in production', function (done) {
+      const opts = { env: 'production', render: finalhandler.renderDevelopment }
+
+      request(createServer(createError('boom!'), opts))
+        .get('/foo')
+        .expect('Content-Security-Policy', "default-src 'none'")
+        .expect(500, /<pre>Internal Server Error<\/pre>/, done)
+    })
+
+    it('should use default renderer for other formats', function (done) {
+      const opts = { render: finalhandler.renderDevelopment }
+
+      request(createServer(null, opts))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(404, { status: 404, message: 'Cannot GET /foo' }, done)
+    })
+  })
+
+  describe('createHtmlDocument(message)', function () {
+    it('should escape the message', function () {
+      assert.ok(/<pre>a &lt;b&gt;<br> &nbsp;c<\/pre>/.test(finalhandler.createHtmlDocument('a <b>\n  c')))
+    })
+  })
+
+  describe('error mapping', function () {
+    it('should map ENOENT to 404', function (done) {
+      const server = createServer(function (req, res, next) {
+        fs.readFile(path.join(FIXTURES_DIR, 'does-not-exist.html'), next)
       })
+
       request(server)
         .get('/foo')
-        .expect(301, '0', done)
+        .expect(404, /<pre>Error: ENOENT: no such file or directory/, done)
     })
-  })
 
-  describe('onerror', function () {
-    it('should be invoked when error', function (done) {
-      const err = new Error('boom!')
-      let error
+    it('should not expose mapped error messages in production', function (done) {
+      const err = createError('EACCES: permission denied, open \'/etc/app/secret\'', { code: 'EACCES' })
 
-      function log (e) {
-        error = e
+      request(createServer(err, { env: 'production' }))
+        .get('/foo')
+        .expect(403, /<pre>Forbidden<\/pre>/, done)
+    })
+
+    it('should map err.type', function (done) {
+      request(createServer(createError('too big', { type: 'entity.too.large' })))
+        .get('/foo')
+        .expect(413, done)
+    })
+
+    it('should prefer err.status over mappings', function (done) {
+      request(createServer(createError('gone', { code: 'ENOENT', status: 410 })))
+        .get('/foo')
+        .expect(410, done)
+    })
+
+    it('should use options.errorMap', function (done) {
+      function ConflictError (message) {
+        this.message = message
       }
 
-      request(createServer(err, { onerror: log }))
-        .get('/')
-        .end(function () {
-          assert.equal(error, err)
-          done()
+      const opts = {
+        errorMap: [
+          { instanceOf: ConflictError, status: 409, expose: true },
+          { code: 'ENOENT', status: 410 }
+        ],
+        env: 'production'
+      }
+
+      request(createServer(new ConflictError('version mismatch'), opts))
+        .get('/foo')
+        .expect(409, /<pre>version mismatch<\/pre>/, function (err) {
+          if (err) return done(err)
+          request(createServer(createError('missing', { code: 'ENOENT' }), opts))
+            .get('/foo')
+            .expect(410, done)
         })
     })
+
+    it('should include headers from mapping', function (done) {
+      finalhandler.registerError({
+        code: 'ETESTBUSY',
+        status: 503,
+        headers: { 'X-Busy': 'yes' }
+      })
+
+      request(createServer(createError('busy', { code: 'ETESTBUSY' })))
+        .get('/foo')
+        .expect('X-Busy', 'yes')
+        .expect(503, done)
+    })
+
+    it('should reject invalid mappings', function () {
+      assert.throws(function () {
+        finalhandler.registerError({ code: 'EFOO', status: 200 })
+      }, /error mapping status must be a number between 400 and 599/)
+      assert.throws(function () {
+        finalhandler({}, {}, { errorMap: [{ status: 400 }] })
+      }, /error mapping must have code, type or instanceOf/)
+    })
+  })
+
+  describe('pages', function () {
+    const pages = {
+      404: path.join(FIXTURES_DIR, 'errors', '404.html'),
+      '5xx': path.join(FIXTURES_DIR, 'errors', '5xx.html')
+    }
+
+    it('should send the page for the status code', function (done) {
+      request(createServer(null, { pages: pages }))
+        .get('/foo')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(404, /<h1>We could not find that page<\/h1>/, done)
+    })
+
+    it('should send the page for the status class', function (done) {
+      request(createServer(createError('boom!', { status: 503 }), { pages: pages }))
+        .get('/foo')
+        .expect(503, /<h1>Something went wrong<\/h1>/, done)
+    })
+
+    it('should send the default page', function (done) {
+      const opts = { pages: { default: pages['5xx'] } }
+
+      request(createServer(createError('nope', { status: 400 }), opts))
+        .get('/foo')
+        .expect(400, /<h1>Something went wrong<\/h1>/, done)
+    })
+
+    it('should use built-in document without a matching page', function (done) {
+      request(createServer(createError('nope', { status: 400 }), { pages: pages }))
+        .get('/foo')
+        .expect(400, /<pre>Error: nope/, done)
+    })
+
+    it('should use built-in document when page is missing', function (done) {
+      const opts = { pages: { 404: path.join(FIXTURES_DIR, 'errors', 'missing.html') } }
+
+      request(createServer(null, opts))
+        .get('/foo')
+        .expect(404, /<pre>Cannot GET \/foo<\/pre>/, done)
+    })
+
+    it('should not send the page for other formats', function (done) {
+      request(createServer(null, { pages: pages }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(404, { status: 404, message: 'Cannot GET /foo' }, done)
+    })
+
+    it('should cache the page after the first read', function (done) {
+      const file = path.join(os.tmpdir(), 'finalhandler-' + process.pid + '.html')
+      const server = createServer(null, { pages: { 404: file } })
+
+      fs.writeFileSync(file, '<h1>cached</h1>')
+
+      request(server)
+        .get('/foo')
+        .expect(404, '<h1>cached</h1>', function (err) {
+          if (err) return done(err)
+          fs.unlinkSync(file)
+          request(server)
+            .get('/foo')
+            .expect(404, '<h1>cached</h1>', done)
+        })
+    })
+
+    it('should reject invalid options.pages', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { pages: 'errors' })
+      }, /option pages must be an object/)
+    })
+  })
+
+  describe('redact', function () {
+    it('should redact header values in messages', function (done) {
+      const err = createError('upstream rejected Authorization: Bearer abc.def', { status: 502 })
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(502, /^Error: upstream rejected Authorization: \[REDACTED\]\n/, done)
+    })
+
+    it('should redact query parameters in messages', function (done) {
+      const err = createError('GET https://api.example.com/v1?token=s3cr3t&page=2 failed')
+
+      request(createServer(err))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /token=\[REDACTED\]&page=2 failed/, done)
+    })
+
+    it('should redact options.redact.patterns', function (done) {
+      const err = createError('bad key sk_live_12345')
+      const opts = { redact: { patterns: [/sk_live_\w+/] } }
+
+      request(createServer(err, opts))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /^Error: bad key \[REDACTED\]\n/, done)
+    })
+
+    it('should redact the resource name', function (done) {
+      const opts = { redact: { patterns: [/\/reset\/\w+/] } }
+
+      request(createServer(null, opts))
+        .get('/reset/abc123')
+        .set('Accept', 'text/plain')
+        .expect(404, 'Cannot GET [REDACTED]', done)
+    })
+
+    it('should redact err.headers', function (done) {
+      const err = createError('nope', {
+        status: 401,
+        headers: { 'X-Api-Key': 'abc', 'X-Custom-Header': 'foo' }
+      })
+
+      request(createServer(err))
+        .get('/foo')
+        .expect('X-Api-Key', '[REDACTED]')
+        .expect('X-Custom-Header', 'foo')
+        .expect(401, done)
+    })
+
+    it('should redact request details in development page', function (done) {
+      const opts = {
+        redact: { headers: ['X-Session'] },
+        render: finalhandler.renderDevelopment
+      }
+
+      request(createServer(null, opts))
+        .get('/foo?token=abc&page=1')
+        .set('Authorization', 'Basic dXNlcjpwYXNz')
+        .set('X-Session', 'xyz')
+        .expect(404)
+        .expect(function (res) {
+          assert.ok(res.text.indexOf('<td>/foo?token=[REDACTED]&amp;page=1</td>') !== -1)
+          assert.ok(res.text.indexOf('<th>authorization</th><td>[REDACTED]</td>') !== -1)
+          assert.ok(res.text.indexOf('<th>x-session</th><td>[REDACTED]</td>') !== -1)
+          assert.ok(res.text.indexOf('<th>token</th><td>[REDACTED]</td>') !== -1)
+          assert.ok(res.text.indexOf('<th>page</th><td>1</td>') !== -1)
+        })
+        .end(done)
+    })
+
+    it('should redact errorDispatch payload', function (done) {
+      const app = new EventEmitter()
+      let payload
+
+      app.on('errorDispatch', function (obj) {
+        payload = obj
+      })
+
+      request(createServer(null, { app: app, redact: { patterns: [/abc123/] } }))
+        .get('/users/abc123')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(payload.method, 'GET')
+          assert.strictEqual(payload.url, '/users/[REDACTED]')
+          done()
+        })
+    })
+
+    it('should not redact when options.redact is false', function (done) {
+      const err = createError('Authorization: Bearer abc')
+
+      request(createServer(err, { redact: false }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect(500, /^Error: Authorization: Bearer abc\n/, done)
+    })
+  })
+
+  describe('request started', function () {
+    it('should not respond', function (done) {
+      const server = http.createServer(function (req, res) {
+        const done = finalhandler(req, res)
+        res.statusCode = 301
+        res.write('0')
+        process.nextTick(function () {
+          res.end('1')
+          done()
+        })
+      })
+      request(server)
+        .get('/foo')
+        .expect(301, '01', done)
+    })
+
+    it('should terminate on error', function (done) {
+      const server = http.createServer(function (req, res) {
+        const done = finalhandler(req, res)
+        res.statusCode = 301
+        res.write('0')
+        process.nextTick(function () {
+          done(createError('too many requests', {
+            status: 429,
+            headers: { 'Retry-After': '5' }
+          }))
+        })
+      })
+      request(server)
+        .get('/foo')
+        .expect(301, '0', done)
+    })
+  })
+
+  describe('request ID', function () {
+    it('should echo the X-Request-Id header', function (done) {
+      request(createServer(null, { requestId: true }))
+        .get('/foo')
+        .set('X-Request-Id', 'abc123')
+        .expect('X-Request-Id', 'abc123')
+        .expect(404, /<pre>Cannot GET \/foo<br><br>Reference: abc123<\/pre>/, done)
+    })
+
+    it('should generate an ID without header', function (done) {
+      request(createServer(null, { requestId: true }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('X-Request-Id', /^[0-9a-f]{24}$/)
+        .expect(404, /^Cannot GET \/foo\n\nReference: [0-9a-f]{24}$/, done)
+    })
+
+    it('should generate an ID for unsafe header values', function (done) {
+      const opts = { requestId: { generate: function () { return 'generated' } } }
+
+      request(createServer(null, opts))
+        .get('/foo')
+        .set('X-Request-Id', '<script>')
+        .expect('X-Request-Id', 'generated')
+        .expect(404, done)
+    })
+
+    it('should use options.requestId.header', function (done) {
+      const opts = { requestId: { header: 'X-Correlation-Id' } }
+
+      request(createServer(null, opts))
+        .get('/foo')
+        .set('X-Correlation-Id', 'corr-1')
+        .expect('X-Correlation-Id', 'corr-1')
+        .expect(shouldNotHaveHeader('X-Request-Id'))
+        .expect(404, done)
+    })
+
+    it('should include the ID in JSON', function (done) {
+      request(createServer(null, { requestId: true }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .set('X-Request-Id', 'abc123')
+        .expect(404, { status: 404, message: 'Cannot GET /foo', requestId: 'abc123' }, done)
+    })
+
+    it('should include the ID in problem details', function (done) {
+      request(createServer(null, { problem: true, requestId: true }))
+        .get('/foo')
+        .set('Accept', 'application/problem+json')
+        .set('X-Request-Id', 'abc123')
+        .expect(404, /"requestId":"abc123"/, done)
+    })
+
+    it('should pass the ID to onerror and errorDispatch', function (done) {
+      const app = new EventEmitter()
+      let info
+      let payload
+
+      app.on('errorDispatch', function (obj) {
+        payload = obj
+      })
+
+      function log (e, req, res, obj) {
+        info = obj
+      }
+
+      request(createServer(new Error('boom!'), { app: app, onerror: log, requestId: true }))
+        .get('/foo')
+        .set('X-Request-Id', 'abc123')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(info.requestId, 'abc123')
+          assert.strictEqual(payload.requestId, 'abc123')
+          done()
+        })
+    })
+
+    it('should not add ID by default', function (done) {
+      request(createServer())
+        .get('/foo')
+        .set('X-Request-Id', 'abc123')
+        .expect(shouldNotHaveHeader('X-Request-Id'))
+        .expect(404, /<pre>Cannot GET \/foo<\/pre>/, done)
+    })
+  })
+
+  describe('retry after', function () {
+    it('should set Retry-After from err.retryAfter seconds', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 30 }), { env: 'production' }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('Retry-After', '30')
+        .expect(429, 'slow down\n\nRetry after 30 seconds.', done)
+    })
+
+    it('should round up err.retryAfter seconds', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 0.5 }), { env: 'production' }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('Retry-After', '1')
+        .expect(429, 'slow down\n\nRetry after 1 second.', done)
+    })
+
+    it('should set Retry-After from err.retryAfter date', function (done) {
+      const date = new Date(Date.now() + 120000)
+
+      request(createServer(createError('maintenance', { status: 503, retryAfter: date })))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect('Retry-After', date.toUTCString())
+        .expect(503)
+        .expect(function (res) {
+          assert.ok(res.body.retryAfter > 110 && res.body.retryAfter <= 120)
+        })
+        .end(done)
+    })
+
+    it('should include retryAfter in JSON', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 30 }), { env: 'production' }))
+        .get('/foo')
+        .set('Accept', 'application/json')
+        .expect(429, { status: 429, message: 'slow down', retryAfter: 30 }, done)
+    })
+
+    it('should include retryAfter in problem details', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 30 }), { problem: true }))
+        .get('/foo')
+        .set('Accept', 'application/problem+json')
+        .expect(429)
+        .expect(function (res) {
+          assert.strictEqual(JSON.parse(res.text).retryAfter, 30)
+        })
+        .end(done)
+    })
+
+    it('should ignore invalid err.retryAfter', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 'soon' })))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('retry-after'))
+        .expect(429, done)
+    })
+
+    it('should use options.retryAfter default for the status', function (done) {
+      request(createServer(createError('maintenance', { status: 503 }), { env: 'production', retryAfter: { 429: 60, 503: 300 } }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('Retry-After', '300')
+        .expect(503, 'Service Unavailable\n\nRetry after 300 seconds.', done)
+    })
+
+    it('should prefer err.retryAfter over options.retryAfter', function (done) {
+      request(createServer(createError('slow down', { status: 429, retryAfter: 5 }), { retryAfter: { 429: 60 } }))
+        .get('/foo')
+        .expect('Retry-After', '5')
+        .expect(429, done)
+    })
+
+    it('should not set Retry-After for other statuses', function (done) {
+      request(createServer(new Error('boom!'), { retryAfter: { 503: 300 } }))
+        .get('/foo')
+        .expect(shouldNotHaveHeader('retry-after'))
+        .expect(500, done)
+    })
+
+    it('should keep Retry-After from err.headers', function (done) {
+      request(createServer(createError('slow down', {
+        headers: { 'retry-after': '10' },
+        retryAfter: 30,
+        status: 429
+      }), { env: 'production' }))
+        .get('/foo')
+        .set('Accept', 'text/plain')
+        .expect('Retry-After', '10')
+        .expect(429, 'slow down', done)
+    })
+
+    it('should reject invalid options.retryAfter', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { retryAfter: 60 })
+      }, /option retryAfter must be an object/)
+      assert.throws(function () {
+        finalhandler({}, {}, { retryAfter: { 200: 60 } })
+      }, /option retryAfter keys must be 4xx or 5xx status codes/)
+      assert.throws(function () {
+        finalhandler({}, {}, { retryAfter: { 503: '60' } })
+      }, /option retryAfter values must be non-negative integers/)
+    })
+  })
+
+  describe('HTTP/2', function () {
+    function h2request (server, headers, callback) {
+      server.listen(0, function () {
+        const client = http2.connect('http://127.0.0.1:' + server.address().port)
+        const req = client.request(headers)
+        let body = ''
+        let response
+        let finished = false
+        let trailers
+
+        function finish (err) {
+          if (finished) return
+          finished = true
+          client.close()
+          server.close()
+          callback(err, response, body, trailers, req.rstCode)
+        }
+
+        req.setEncoding('utf8')
+        req.on('response', function (h) { response = h })
+        req.on('trailers', function (h) { trailers = h })
+        req.on('data', function (s) { body += s })
+        req.on('error', finish)
+        req.on('close', function () { finish(null) })
+        req.end()
+      })
+    }
+
+    it('should respond with compatibility API', function (done) {
+      let warned = false
+
+      function onwarning () {
+        warned = true
+      }
+
+      const server = http2.createServer(function (req, res) {
+        finalhandler(req, res)(createError('nope', { status: 400 }))
+      })
+
+      process.on('warning', onwarning)
+
+      h2request(server, { ':path': '/foo' }, function (err, headers, body) {
+        process.removeListener('warning', onwarning)
+        if (err) return done(err)
+        assert.strictEqual(headers[':status'], 400)
+        assert.strictEqual(headers['content-security-policy'], "default-src 'none'")
+        assert.ok(/<pre>Error: nope/.test(body))
+        assert.ok(!warned, 'should not warn about status message')
+        done()
+      })
+    })
+
+    it('should drain request body with compatibility API', function (done) {
+      const server = http2.createServer(function (req, res) {
+        finalhandler(req, res)()
+      })
+
+      server.listen(0, function () {
+        const client = http2.connect('http://127.0.0.1:' + server.address().port)
+        const req = client.request({ ':method': 'POST', ':path': '/foo' })
+
+        req.on('response', function (headers) {
+          assert.strictEqual(headers[':status'], 404)
+        })
+        req.on('data', function () {})
+        req.on('end', function () {
+          client.close()
+          server.close()
+          done()
+        })
+        req.write(Buffer.alloc(1024 * 16, '.'))
+        req.end(Buffer.alloc(1024 * 16, '.'))
+      })
+    })
+
+    it('should not set Connection with options.closeConnection', function (done) {
+      const server = http2.createServer(function (req, res) {
+        finalhandler(req, res, { closeConnection: true })(new Error('boom!'))
+      })
+
+      h2request(server, { ':path': '/foo' }, function (err, headers) {
+        if (err) return done(err)
+        assert.strictEqual(headers[':status'], 500)
+        assert.strictEqual(headers['cache-control'], 'no-store')
+        assert.strictEqual(headers.connection, undefined)
+        done()
+      })
+    })
+
+    it('should cancel stream when body exceeds drain limit', function (done) {
+      const server = http2.createServer(function (req, res) {
+        finalhandler(req, res, { drain: { limit: 1024 } })()
+      })
+
+      server.listen(0, function () {
+        const client = http2.connect('http://127.0.0.1:' + server.address().port)
+        const req = client.request({ ':method': 'POST', ':path': '/foo' })
+        let status
+
+        req.on('response', function (headers) {
+          status = headers[':status']
+          assert.strictEqual(headers.connection, undefined)
+        })
+        req.on('error', function () {})
+        req.on('data', function () {})
+        req.on('close', function () {
+          client.close()
+          server.close()
+          assert.strictEqual(status, 404)
+          assert.strictEqual(req.rstCode, http2.constants.NGHTTP2_NO_ERROR)
+          done()
+        })
+        req.write(Buffer.alloc(1024 * 16, '.'))
+      })
+    })
+
+    it('should send trailer with compatibility API', function (done) {
+      const server = http2.createServer(function (req, res) {
+        res.write('0')
+        finalhandler(req, res, { headersSent: 'trailer' })(new Error('boom!'))
+      })
+
+      h2request(server, { ':path': '/foo' }, function (err, headers, body, trailers) {
+        if (err) return done(err)
+        assert.strictEqual(body, '0')
+        assert.strictEqual(trailers['x-error'], '500 Internal Server Error')
+        done()
+      })
+    })
+
+    it('should reset stream with "destroy"', function (done) {
+      const server = http2.createServer(function (req, res) {
+        res.write('0')
+        finalhandler(req, res, { headersSent: 'destroy' })(new Error('boom!'))
+      })
+
+      h2request(server, { ':path': '/foo' }, function (e, headers, body, trailers, rstCode) {
+        assert.strictEqual(rstCode, http2.constants.NGHTTP2_INTERNAL_ERROR)
+        done()
+      })
+    })
+
+    describe('finalhandler.http2Stream(stream, headers)', function () {
+      it('should respond to raw stream', function (done) {
+        const server = http2.createServer()
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers)()
+        })
+
+        h2request(server, { ':path': '/foo', accept: 'application/json' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(headers[':status'], 404)
+          assert.strictEqual(headers['content-type'], 'application/json; charset=utf-8')
+          assert.strictEqual(headers['x-content-type-options'], 'nosniff')
+          assert.strictEqual(body, '{"status":404,"message":"Cannot GET /foo"}')
+          done()
+        })
+      })
+
+      it('should respond to HEAD without body', function (done) {
+        const server = http2.createServer()
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers)(new Error('boom!'))
+        })
+
+        h2request(server, { ':method': 'HEAD', ':path': '/foo' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(headers[':status'], 500)
+          assert.strictEqual(body, '')
+          done()
+        })
+      })
+
+      it('should resolve after the response finished', function (done) {
+        const server = http2.createServer()
+        let finished = false
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers)().then(function () {
+            finished = true
+          })
+        })
+
+        h2request(server, { ':path': '/foo' }, function (err) {
+          if (err) return done(err)
+          setTimeout(function () {
+            assert.ok(finished)
+            done()
+          }, 10)
+        })
+      })
+
+      it('should cancel stream when body exceeds drain limit', function (done) {
+        const app = new EventEmitter()
+        const server = http2.createServer()
+        let result
+
+        app.on('errorDrain', function (obj) {
+          result = obj.result
+        })
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers, { app: app, drain: { limit: 1024 } })()
+        })
+
+        server.listen(0, function () {
+          const client = http2.connect('http://127.0.0.1:' + server.address().port)
+          const req = client.request({ ':method': 'POST', ':path': '/foo' })
+          let status
+
+          req.on('response', function (headers) {
+            status = headers[':status']
+          })
+          req.on('error', function () {})
+          req.on('data', function () {})
+          req.on('close', function () {
+            client.close()
+            server.close()
+            assert.strictEqual(status, 404)
+            assert.strictEqual(result, 'limit')
+            assert.strictEqual(req.rstCode, http2.constants.NGHTTP2_NO_ERROR)
+            done()
+          })
+          req.write(Buffer.alloc(1024 * 16, '.'))
+        })
+      })
+
+      it('should cancel stream when drain times out', function (done) {
+        const app = new EventEmitter()
+        const server = http2.createServer()
+        let result
+
+        app.on('errorDrain', function (obj) {
+          result = obj.result
+        })
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers, { app: app, drain: { timeout: 50 } })(new Error('boom!'))
+        })
+
+        server.listen(0, function () {
+          const client = http2.connect('http://127.0.0.1:' + server.address().port)
+          const req = client.request({ ':method': 'POST', ':path': '/foo' })
+          let status
+
+          req.on('response', function (headers) {
+            status = headers[':status']
+          })
+          req.on('error', function () {})
+          req.on('data', function () {})
+          req.on('close', function () {
+            client.close()
+            server.close()
+            assert.strictEqual(status, 500)
+            assert.strictEqual(result, 'timeout')
+            assert.strictEqual(req.rstCode, http2.constants.NGHTTP2_NO_ERROR)
+            done()
+          })
+          req.write(Buffer.alloc(1024, '.'))
+        })
+      })
+
+      it('should drain body within limits', function (done) {
+        const app = new EventEmitter()
+        const server = http2.createServer()
+        let result
+
+        app.on('errorDrain', function (obj) {
+          result = obj.result
+        })
+
+        server.on('stream', function (stream, headers) {
+          finalhandler.http2Stream(stream, headers, { app: app, drain: { limit: 1024 * 64 } })()
+        })
+
+        server.listen(0, function () {
+          const client = http2.connect('http://127.0.0.1:' + server.address().port)
+          const req = client.request({ ':method': 'POST', ':path': '/foo' })
+
+          req.on('response', function (headers) {
+            assert.strictEqual(headers[':status'], 404)
+          })
+          req.on('data', function () {})
+          req.on('end', function () {
+            client.close()
+            server.close()
+            assert.strictEqual(result, 'drained')
+            done()
+          })
+          req.end(Buffer.alloc(1024 * 16, '.'))
+        })
+      })
+
+      it('should reset stream when headers sent', function (done) {
+        const server = http2.createServer()
+
+        server.on('stream', function (stream, headers) {
+          stream.respond({ ':status': 200 })
+          stream.write('0')
+          finalhandler.http2Stream(stream, headers, { headersSent: 'destroy' })(new Error('boom!'))
+        })
+
+        h2request(server, { ':path': '/foo' }, function (e, headers, body, trailers, rstCode) {
+          assert.strictEqual(rstCode, http2.constants.NGHTTP2_INTERNAL_ERROR)
+          done()
+        })
+      })
+    })
+  })
+
+  describe('return value', function () {
+    it('should resolve after the response finished', function (done) {
+      let finished = false
+
+      const server = http.createServer(function (req, res) {
+        finalhandler(req, res)(new Error('boom!')).then(function () {
+          assert.ok(res.writableEnded || res.finished)
+          finished = true
+        })
+      })
+
+      request(server)
+        .get('/')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          setImmediate(function () {
+            assert.ok(finished)
+            done()
+          })
+        })
+    })
+
+    it('should resolve when headers already sent', function (done) {
+      const server = http.createServer(function (req, res) {
+        res.write('0')
+        finalhandler(req, res)().then(function () {
+          assert.ok(res.writableEnded || res.finished)
+        }).then(done, done)
+      })
+
+      request(server)
+        .get('/')
+        .end(function () {})
+    })
+  })
+
+  describe('when headers sent', function () {
+    function createStartedServer (err, opts) {
+      return http.createServer(function (req, res) {
+        const done = finalhandler(req, res, opts)
+        res.statusCode = 200
+        res.write('0')
+        process.nextTick(function () {
+          done(err)
+        })
+      })
+    }
+
+    function get (server, cb) {
+      let called = false
+
+      function callback () {
+        if (called) return
+        called = true
+        server.close()
+        cb.apply(this, arguments)
+      }
+
+      server.listen(function () {
+        const req = http.get({ host: '127.0.0.1', path: '/', port: this.address().port })
+        req.on('response', function (res) {
+          let body = ''
+          res.setEncoding('utf8')
+          res.on('data', function (s) { body += s })
+          res.on('error', function (e) { callback(e) })
+          res.on('aborted', function () { callback(null, res, body, true) })
+          res.on('end', function () { callback(null, res, body, false) })
+        })
+      })
+    }
+
+    it('should end response by default', function (done) {
+      get(createStartedServer(new Error('boom!')), function (err, res, body, aborted) {
+        if (err) return done(err)
+        assert.strictEqual(body, '0')
+        assert.ok(!aborted)
+        done()
+      })
+    })
+
+    it('should destroy response with "destroy"', function (done) {
+      get(createStartedServer(new Error('boom!'), { headersSent: 'destroy' }), function (err, res, body, aborted) {
+        if (err && err.code !== 'ECONNRESET') return done(err)
+        assert.ok(err || aborted, 'should abort the transfer')
+        done()
+      })
+    })
+
+    it('should send trailer with "trailer"', function (done) {
+      const err = createError('too many requests', { status: 429 })
+
+      get(createStartedServer(err, { headersSent: 'trailer' }), function (err, res, body, aborted) {
+        if (err) return done(err)
+        assert.strictEqual(body, '0')
+        assert.ok(!aborted)
+        assert.strictEqual(res.trailers['x-error'], '429 Too Many Requests')
+        done()
+      })
+    })
+
+    it('should invoke onerror with the error', function (done) {
+      const error = new Error('boom!')
+      let info
+
+      function log (e, req, res, obj) {
+        assert.strictEqual(e, error)
+        info = obj
+      }
+
+      get(createStartedServer(error, { onerror: log }), function (err) {
+        if (err) return done(err)
+        setImmediate(function () {
+          assert.ok(info && info.headersSent)
+          done()
+        })
+      })
+    })
+
+    it('should emit errorDispatch', function (done) {
+      const app = new EventEmitter()
+      let payload
+
+      app.on('errorDispatch', function (obj) {
+        payload = obj
+      })
+
+      get(createStartedServer(new Error('boom!'), { app: app }), function (err) {
+        if (err) return done(err)
+        assert.strictEqual(payload.url, '/')
+        done()
+      })
+    })
+
+    describe('when streaming', function () {
+      function createStreamServer (type, err, opts) {
+        return http.createServer(function (req, res) {
+          const done = finalhandler(req, res, opts)
+          res.setHeader('Content-Type', type)
+          res.write(type === 'text/event-stream' ? 'data: 1\n\n' : '{"n":1}\n')
+          process.nextTick(function () {
+            done(err)
+          })
+        })
+      }
+
+      it('should write error event to Server-Sent Events', function (done) {
+        const server = createStreamServer('text/event-stream', createError('boom!', { status: 503 }), {
+          env: 'production'
+        })
+
+        get(server, function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, 'data: 1\n\nevent: error\ndata: {"status":503,"message":"Service Unavailable"}\n\n')
+          done()
+        })
+      })
+
+      it('should write error event to Server-Sent Events started with writeHead', function (done) {
+        const server = http.createServer(function (req, res) {
+          const done = finalhandler(req, res, { env: 'production' })
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: 1\n\n')
+          process.nextTick(function () {
+            done(createError('boom!', { status: 503 }))
+          })
+        })
+
+        get(server, function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, 'data: 1\n\nevent: error\ndata: {"status":503,"message":"Service Unavailable"}\n\n')
+          done()
+        })
+      })
+
+      it('should write error object to NDJSON', function (done) {
+        const server = createStreamServer('application/x-ndjson; charset=utf-8', createError('bad row', { status: 422 }), {
+          env: 'production'
+        })
+
+        get(server, function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, '{"n":1}\n{"error":{"status":422,"message":"bad row"}}\n')
+          done()
+        })
+      })
+
+      it('should use options.streamFrame', function (done) {
+        function streamFrame (context) {
+          return 'event: ' + context.type + '-failed\ndata: ' + context.status + '\n\n'
+        }
+
+        const server = createStreamServer('text/event-stream', new Error('boom!'), {
+          streamFrame: streamFrame
+        })
+
+        get(server, function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, 'data: 1\n\nevent: sse-failed\ndata: 500\n\n')
+          done()
+        })
+      })
+
+      it('should not write frame for other types', function (done) {
+        get(createStreamServer('text/plain', new Error('boom!')), function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, '{"n":1}\n')
+          done()
+        })
+      })
+    })
+
+    it('should reject unknown options.headersSent', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { headersSent: 'ignore' })
+      }, /option headersSent must be one of destroy, end, trailer/)
+    })
+  })
+
+  describe('client closed request', function () {
+    function abortRequest (server, delay) {
+      server.listen(function () {
+        const req = http.request({
+          headers: { 'Content-Length': '1048576' },
+          host: '127.0.0.1',
+          method: 'POST',
+          path: '/foo',
+          port: this.address().port
+        })
+
+        req.on('error', function () {})
+        req.write(Buffer.alloc(1024, '.'), function () {
+          setTimeout(function () {
+            req.destroy()
+          }, delay)
+        })
+      })
+    }
+
+    it('should skip rendering when client closed before done', function (done) {
+      const app = new EventEmitter()
+      let rendered = false
+
+      const server = createServer(function (req, res, next) {
+        req.socket.on('close', function () {
+          next(new Error('boom!')).then(function () {
+            assert.strictEqual(rendered, false)
+            assert.strictEqual(payload.status, 499)
+            server.close()
+            done()
+          })
+        })
+      }, {
+        app: app,
+        render: function () {
+          rendered = true
+          return 'nope'
+        }
+      })
+
+      let payload
+
+      app.on('errorDispatch', function (obj) {
+        payload = obj
+      })
+
+      abortRequest(server, 0)
+    })
+
+    it('should classify as 499 for onerror', function (done) {
+      const server = createServer(function (req, res, next) {
+        req.socket.on('close', function () {
+          next(new Error('boom!'))
+        })
+      }, {
+        onerror: function (err, req, res, info) {
+          assert.strictEqual(err.message, 'boom!')
+          assert.strictEqual(info.aborted, true)
+          assert.strictEqual(info.status, 499)
+          server.close()
+          done()
+        }
+      })
+
+      abortRequest(server, 0)
+    })
+
+    it('should not call onerror with options.ignoreAborted', function (done) {
+      let called = false
+
+      const server = createServer(function (req, res, next) {
+        req.socket.on('close', function () {
+          next(new Error('boom!')).then(function () {
+            setImmediate(function () {
+              assert.strictEqual(called, false)
+              server.close()
+              done()
+            })
+          })
+        })
+      }, {
+        ignoreAborted: true,
+        onerror: function () {
+          called = true
+        }
+      })
+
+      abortRequest(server, 0)
+    })
+
+    it('should skip rendering when client closed while draining', function (done) {
+      const app = new EventEmitter()
+      let rendered = false
+
+      app.on('errorDrain', function (obj) {
+        assert.strictEqual(obj.result, 'aborted')
+        setImmediate(function () {
+          assert.strictEqual(rendered, false)
+          server.close()
+          done()
+        })
+      })
+
+      const server = createServer(new Error('boom!'), {
+        app: app,
+        render: function () {
+          rendered = true
+          return 'nope'
+        }
+      })
+
+      abortRequest(server, 10)
+    })
+
+    it('should report client closed while draining to errorDrain', function (done) {
+      const app = new EventEmitter()
+      const events = []
+
+      app.on('errorDispatch', function (obj) {
+        events.push('errorDispatch ' + obj.status)
+      })
+
+      app.on('errorDrain', function (obj) {
+        events.push('errorDrain ' + obj.result)
+        setImmediate(function () {
+          assert.deepStrictEqual(events, ['errorDispatch 500', 'onerror 500', 'errorDrain aborted'])
+          server.close()
+          done()
+        })
+      })
+
+      const server = createServer(new Error('boom!'), {
+        app: app,
+        onerror: function (e, req, res, info) {
+          events.push('onerror ' + info.status)
+        }
+      })
+
+      abortRequest(server, 10)
+    })
+
+    it('should classify aborted read errors as 499', function (done) {
+      const server = createServer(createError('request aborted', {
+        status: 400,
+        type: 'request.aborted'
+      }), {
+        onerror: function (e, req, res, info) {
+          assert.strictEqual(info.aborted, true)
+          assert.strictEqual(info.status, 499)
+        }
+      })
+
+      request(server)
+        .get('/foo')
+        .end(function (err) {
+          assert.ok(err)
+          assert.ok(/socket hang up|ECONNRESET/.test(err.message))
+          done()
+        })
+    })
+
+    it('should not classify other errors as 499', function (done) {
+      request(createServer(createError('read ECONNRESET', { code: 'ECONNRESET' }), {
+        onerror: function (e, req, res, info) {
+          assert.strictEqual(info.aborted, false)
+          assert.strictEqual(info.status, 502)
+        }
+      }))
+        .get('/foo')
+        .expect(502, done)
+    })
+  })
+
+  describe('createMetrics(options)', function () {
+    it('should count responses by status, method and error', function (done) {
+      const metrics = finalhandler.createMetrics()
+      const server = createServer(function (req, res, next) {
+        next(req.url === '/missing' ? null : createError('nope', { code: 'ENOPE', status: 503 }))
+      }, { metrics: metrics })
+
+      request(server)
+        .get('/missing')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          request(server)
+            .post('/foo')
+            .expect(503, function (err) {
+              if (err) return done(err)
+              const snapshot = metrics.metrics()
+              assert.deepStrictEqual(snapshot.responses, [
+                { status: 404, class: '4xx', method: 'GET', error: 'none', count: 1 },
+                { status: 503, class: '5xx', method: 'POST', error: 'ENOPE', count: 1 }
+              ])
+              assert.strictEqual(snapshot.headersSent, 0)
+              done()
+            })
+        })
+    })
+
+    it('should label errors by constructor without code', function (done) {
+      const metrics = finalhandler.createMetrics()
+
+      request(createServer(new TypeError('boom!'), { metrics: metrics }))
+        .get('/foo')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(metrics.metrics().responses[0].error, 'TypeError')
+          done()
+        })
+    })
+
+    it('should bound error labels', function (done) {
+      const metrics = finalhandler.createMetrics({ maxErrorLabels: 1 })
+      const server = createServer(function (req, res, next) {
+        next(createError('nope', { code: req.url.slice(1) }))
+      }, { metrics: metrics })
+
+      request(server)
+        .get('/EFIRST')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          request(server)
+            .get('/ESECOND')
+            .expect(500, function (err) {
+              if (err) return done(err)
+              const labels = metrics.metrics().responses.map(function (entry) { return entry.error })
+              assert.deepStrictEqual(labels, ['EFIRST', 'other'])
+              done()
+            })
+        })
+    })
+
+    it('should not use raw paths or unknown methods as labels', function (done) {
+      const metrics = finalhandler.createMetrics()
+
+      request(createServer(null, { metrics: metrics }))
+        .get('/users/12345')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          metrics.countResponse({ method: 'BREW' }, null, 404)
+          const text = metrics.metrics().responses.map(JSON.stringify).join('\n')
+          assert.ok(text.indexOf('12345') === -1)
+          assert.strictEqual(metrics.metrics().responses[1].method, 'OTHER')
+          done()
+        })
+    })
+
+    it('should count headers sent incidents', function (done) {
+      const metrics = finalhandler.createMetrics()
+      const server = http.createServer(function (req, res) {
+        const next = finalhandler(req, res, { metrics: metrics })
+        res.writeHead(200)
+        res.write('partial')
+        next(new Error('boom!'))
+      })
+
+      request(server)
+        .get('/foo')
+        .expect(200, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(metrics.metrics().headersSent, 1)
+          done()
+        })
+    })
+
+    it('should observe drain duration', function (done) {
+      const metrics = finalhandler.createMetrics({ buckets: [0.1, 1000] })
+      const test = request(createServer(new Error('boom!'), { metrics: metrics })).post('/foo')
+      test.write(Buffer.alloc(1024, '.'))
+      test.expect(500, function (err) {
+        if (err) return done(err)
+        const drains = metrics.metrics().drainDuration
+        assert.strictEqual(drains.length, 1)
+        assert.strictEqual(drains[0].result, 'drained')
+        assert.strictEqual(drains[0].count, 1)
+        assert.strictEqual(drains[0].buckets[1].le, 1000)
+        assert.strictEqual(drains[0].buckets[1].count, 1)
+        assert.strictEqual(typeof drains[0].sum, 'number')
+        done()
+      })
+    })
+
+    it('should serve Prometheus text format', function (done) {
+      const metrics = finalhandler.createMetrics({ buckets: [1] })
+
+      metrics.countResponse({ method: 'GET' }, null, 404)
+      metrics.observeDrain('limit', 0.5)
+
+      request(http.createServer(metrics.handler))
+        .get('/metrics')
+        .expect('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        .expect(200, [
+          '# HELP finalhandler_responses_total Responses of the final handler.',
+          '# TYPE finalhandler_responses_total counter',
+          'finalhandler_responses_total{status="404",class="4xx",method="GET",error="none"} 1',
+          '# HELP finalhandler_headers_sent_total Errors after the headers were sent.',
+          '# TYPE finalhandler_headers_sent_total counter',
+          'finalhandler_headers_sent_total 0',
+          '# HELP finalhandler_drain_duration_seconds Time to drain the request body.',
+          '# TYPE finalhandler_drain_duration_seconds histogram',
+          'finalhandler_drain_duration_seconds_bucket{result="limit",le="1"} 1',
+          'finalhandler_drain_duration_seconds_bucket{result="limit",le="+Inf"} 1',
+          'finalhandler_drain_duration_seconds_sum{result="limit"} 0.5',
+          'finalhandler_drain_duration_seconds_count{result="limit"} 1',
+          ''
+        ].join('\n'), done)
+    })
+
+    it('should reject invalid options', function () {
+      assert.throws(function () {
+        finalhandler.createMetrics({ buckets: [1, 'a'] })
+      }, /option buckets must be an array of finite numbers/)
+      assert.throws(function () {
+        finalhandler.createMetrics({ maxErrorLabels: -1 })
+      }, /option maxErrorLabels must be a non-negative integer/)
+      assert.throws(function () {
+        finalhandler({}, {}, { metrics: {} })
+      }, /option metrics must be created by createMetrics/)
+    })
+  })
+
+  describe('diagnostics channels', function () {
+    const diagnosticsChannel = require('diagnostics_channel')
+
+    function subscribe (name, messages) {
+      const channel = diagnosticsChannel.channel('xprezzo:finalhandler:' + name)
+      const onmessage = function (message) {
+        messages.push(message)
+      }
+
+      channel.subscribe(onmessage)
+
+      return function () {
+        channel.unsubscribe(onmessage)
+      }
+    }
+
+    it('should publish start, error and response', function (done) {
+      const messages = { error: [], response: [], start: [] }
+      const unsubscribe = [
+        subscribe('error', messages.error),
+        subscribe('response', messages.response),
+        subscribe('start', messages.start)
+      ]
+      const error = createError('nope', { status: 400 })
+
+      request(createServer(error))
+        .get('/foo')
+        .expect(400, function (err) {
+          unsubscribe.forEach(function (fn) { fn() })
+          if (err) return done(err)
+          assert.strictEqual(messages.start.length, 1)
+          assert.strictEqual(messages.error.length, 1)
+          assert.strictEqual(messages.response.length, 1)
+          assert.strictEqual(messages.start[0].err, error)
+          assert.strictEqual(messages.start[0].status, 400)
+          assert.strictEqual(messages.start[0].source, 'error')
+          assert.ok(messages.start[0].req)
+          assert.ok(messages.start[0].res)
+          assert.strictEqual(typeof messages.start[0].elapsed, 'number')
+          assert.ok(messages.response[0].elapsed >= messages.start[0].elapsed)
+          done()
+        })
+    })
+
+    it('should not publish error without an error', function (done) {
+      const messages = { error: [], start: [] }
+      const unsubscribe = [
+        subscribe('error', messages.error),
+        subscribe('start', messages.start)
+      ]
+
+      request(createServer())
+        .get('/foo')
+        .expect(404, function (err) {
+          unsubscribe.forEach(function (fn) { fn() })
+          if (err) return done(err)
+          assert.strictEqual(messages.error.length, 0)
+          assert.strictEqual(messages.start.length, 1)
+          assert.strictEqual(messages.start[0].status, 404)
+          assert.strictEqual(messages.start[0].source, 'notFound')
+          done()
+        })
+    })
+
+    it('should publish start when invoked', function (done) {
+      const messages = []
+      const unsubscribe = subscribe('start', messages)
+
+      const server = createServer(function (req, res, next) {
+        next(new Error('boom!'))
+        unsubscribe()
+        assert.strictEqual(messages.length, 1)
+        assert.strictEqual(messages[0].status, 500)
+      })
+
+      const test = request(server).post('/foo')
+      test.write(Buffer.alloc(1024, '.'))
+      test.expect(500, done)
+    })
+
+    it('should publish when headers sent without an error', function (done) {
+      const messages = { response: [], start: [] }
+      const metrics = finalhandler.createMetrics()
+      const unsubscribe = [
+        subscribe('response', messages.response),
+        subscribe('start', messages.start)
+      ]
+
+      request(createServer(function (req, res, next) {
+        res.statusCode = 200
+        res.write('0')
+        next()
+      }, { metrics: metrics }))
+        .get('/foo')
+        .expect(200, '0', function (err) {
+          unsubscribe.forEach(function (fn) { fn() })
+          if (err) return done(err)
+          assert.strictEqual(messages.start.length, 1)
+          assert.strictEqual(messages.start[0].status, 200)
+          assert.strictEqual(messages.start[0].source, 'response')
+          assert.strictEqual(messages.response.length, 1)
+          assert.deepStrictEqual(metrics.metrics().responses, [
+            { status: 200, class: '2xx', method: 'GET', error: 'none', count: 1 }
+          ])
+          done()
+        })
+    })
+
+    it('should publish response status source', function (done) {
+      const messages = []
+      const unsubscribe = subscribe('error', messages)
+
+      request(createServer(function (req, res, next) {
+        res.statusCode = 503
+        next(new Error('boom!'))
+      }))
+        .get('/foo')
+        .expect(503, function (err) {
+          unsubscribe()
+          if (err) return done(err)
+          assert.strictEqual(messages[0].status, 503)
+          assert.strictEqual(messages[0].source, 'response')
+          done()
+        })
+    })
+
+    it('should extend errorDispatch with the same fields', function (done) {
+      const app = new EventEmitter()
+      const error = new Error('boom!')
+      let payload
+
+      app.on('errorDispatch', function (obj) {
+        payload = obj
+      })
+
+      request(createServer(error, { app: app }))
+        .get('/foo')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(payload.method, 'GET')
+          assert.strictEqual(payload.url, '/foo')
+          assert.strictEqual(payload.err, error)
+          assert.strictEqual(payload.status, 500)
+          assert.strictEqual(payload.source, 'response')
+          assert.strictEqual(typeof payload.elapsed, 'number')
+          assert.ok(payload.req)
+          assert.ok(payload.res)
+          done()
+        })
+    })
+  })
+
+  describe('duplicate calls', function () {
+    it('should ignore repeated calls', function (done) {
+      request(createServer(function (req, res, next) {
+        next(createError('bad', { status: 400 }))
+        next(new Error('boom!'))
+      }, { env: 'production' }))
+        .get('/foo')
+        .expect(400, /<pre>bad<\/pre>/, done)
+    })
+
+    it('should ignore repeated calls while draining request body', function (done) {
+      const test = request(createServer(function (req, res, next) {
+        next(new Error('boom!'))
+        next()
+      })).post('/foo')
+      test.write(Buffer.alloc(1024 * 16, '.'))
+      test.expect(500, /Error: boom!/, done)
+    })
+
+    it('should return the promise of the first call', function (done) {
+      let promises
+
+      request(createServer(function (req, res, next) {
+        promises = [next(), next()]
+      }))
+        .get('/foo')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(promises[0], promises[1])
+          done()
+        })
+    })
+
+    it('should not report repeated calls by default', function (done) {
+      const errors = []
+
+      request(createServer(function (req, res, next) {
+        next(new Error('first'))
+        next(new Error('second'))
+      }, {
+        onerror: function (err) {
+          errors.push(err)
+        }
+      }))
+        .get('/foo')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          setImmediate(function () {
+            assert.strictEqual(errors.length, 1)
+            assert.strictEqual(errors[0].message, 'first')
+            done()
+          })
+        })
+    })
+
+    it('should report repeated calls to onerror with "report"', function (done) {
+      const calls = []
+
+      request(createServer(function (req, res, next) {
+        next(new Error('first'))
+        next(new Error('second'))
+      }, {
+        duplicateCall: 'report',
+        onerror: function (err, req, res, info) {
+          calls.push({ err: err, info: info })
+        }
+      }))
+        .get('/foo')
+        .expect(500, function (err) {
+          if (err) return done(err)
+          setImmediate(function () {
+            assert.strictEqual(calls.length, 2)
+            assert.strictEqual(calls[0].info.duplicate, false)
+            assert.strictEqual(calls[1].info.duplicate, true)
+            assert.strictEqual(calls[1].err.code, 'ERR_FINALHANDLER_DUPLICATE_CALL')
+            assert.deepStrictEqual(calls[1].err.errors.map(function (e) { return e.message }), ['first', 'second'])
+            done()
+          })
+        })
+    })
+
+    it('should emit errorDuplicate with "report"', function (done) {
+      const app = new EventEmitter()
+      let payload
+
+      app.on('errorDuplicate', function (obj) {
+        payload = obj
+      })
+
+      request(createServer(function (req, res, next) {
+        next()
+        next(new Error('late'))
+      }, { app: app, duplicateCall: 'report' }))
+        .get('/foo')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(payload.method, 'GET')
+          assert.strictEqual(payload.url, '/foo')
+          assert.strictEqual(payload.error.errors.length, 1)
+          assert.strictEqual(payload.error.errors[0].message, 'late')
+          done()
+        })
+    })
+
+    it('should throw repeated calls with "strict" in development', function (done) {
+      let error
+
+      request(createServer(function (req, res, next) {
+        next()
+        try {
+          next()
+        } catch (e) {
+          error = e
+        }
+      }, { duplicateCall: 'strict', env: 'development' }))
+        .get('/foo')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.ok(error)
+          assert.strictEqual(error.message, 'final handler called more than once')
+          done()
+        })
+    })
+
+    it('should report repeated calls with "strict" in production', function (done) {
+      let reported
+
+      request(createServer(function (req, res, next) {
+        next()
+        next(new Error('late'))
+      }, {
+        duplicateCall: 'strict',
+        env: 'production',
+        onerror: function (e, req, res, info) {
+          reported = info.duplicate
+        }
+      }))
+        .get('/foo')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          setImmediate(function () {
+            assert.strictEqual(reported, true)
+            done()
+          })
+        })
+    })
+
+    it('should reject invalid options.duplicateCall', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { duplicateCall: 'warn' })
+      }, /option duplicateCall must be one of ignore, report, strict/)
+    })
+  })
+
+  describe('wrap(handler, options)', function () {
+    it('should call handler with done', function (done) {
+      request(http.createServer(finalhandler.wrap(function (req, res, next) {
+        next(createError('bad', { status: 400 }))
+      }, { env: 'production' })))
+        .get('/foo')
+        .expect(400, /<pre>bad<\/pre>/, done)
+    })
+
+    it('should send synchronous throws to done', function (done) {
+      request(http.createServer(finalhandler.wrap(function () {
+        throw createError('nope', { status: 403 })
+      }, { env: 'production' })))
+        .get('/foo')
+        .expect(403, /<pre>nope<\/pre>/, done)
+    })
+
+    it('should send falsy synchronous throws to done as errors', function (done) {
+      request(http.createServer(finalhandler.wrap(function () {
+        throw undefined // eslint-disable-line no-throw-literal
+      })))
+        .get('/foo')
+        .expect(500, /handler threw undefined/, done)
+    })
+
+    it('should send rejected promises to done', function (done) {
+      request(http.createServer(finalhandler.wrap(async function () {
+        throw new Error('boom!')
+      })))
+        .get('/foo')
+        .expect(500, /<pre>Error: boom!/, done)
+    })
+
+    it('should send falsy rejections to done as errors', function (done) {
+      request(http.createServer(finalhandler.wrap(function () {
+        return Promise.reject(null) // eslint-disable-line prefer-promise-reject-errors
+      })))
+        .get('/foo')
+        .expect(500, /handler rejected with null/, done)
+    })
+
+    it('should 404 when promise resolves without response', function (done) {
+      request(http.createServer(finalhandler.wrap(async function () {})))
+        .get('/foo')
+        .expect(404, /<pre>Cannot GET \/foo<\/pre>/, done)
+    })
+
+    it('should not 404 when promise resolves after response', function (done) {
+      request(http.createServer(finalhandler.wrap(async function (req, res) {
+        res.end('hello')
+      })))
+        .get('/foo')
+        .expect(200, 'hello', done)
+    })
+
+    it('should not 404 when response started', function (done) {
+      request(http.createServer(finalhandler.wrap(async function (req, res) {
+        res.write('hello')
+        setTimeout(function () {
+          res.end(' world')
+        }, 10)
+      })))
+        .get('/foo')
+        .expect(200, 'hello world', done)
+    })
+
+    it('should not call done after done was called', function (done) {
+      let count = 0
+
+      request(http.createServer(finalhandler.wrap(async function (req, res, next) {
+        next(createError('bad', { status: 400 }))
+        throw new Error('boom!')
+      }, {
+        onerror: function () {
+          count++
+        }
+      })))
+        .get('/foo')
+        .expect(400, function (err) {
+          if (err) return done(err)
+          setImmediate(function () {
+            assert.strictEqual(count, 1)
+            done()
+          })
+        })
+    })
+
+    it('should reject handler that is not a function', function () {
+      assert.throws(function () {
+        finalhandler.wrap('handler')
+      }, /argument handler must be a function/)
+    })
+  })
+
+  describe('onerror', function () {
+    it('should be invoked when error', function (done) {
+      const err = new Error('boom!')
+      let error
+
+      function log (e) {
+        error = e
+      }
+
+      request(createServer(err, { onerror: log }))
+        .get('/')
+        .end(function () {
+          assert.equal(error, err)
+          done()
+        })
+    })
+
+    it('should catch rejections of async onerror', function (done) {
+      let rejected = false
+
+      function onunhandled () {
+        rejected = true
+      }
+
+      function log () {
+        return Promise.reject(new Error('tracker down'))
+      }
+
+      process.on('unhandledRejection', onunhandled)
+
+      request(createServer(new Error('boom!'), { onerror: log }))
+        .get('/')
+        .expect(500, function (err) {
+          setTimeout(function () {
+            process.removeListener('unhandledRejection', onunhandled)
+            assert.ok(!rejected, 'should not have unhandled rejection')
+            done(err)
+          }, 10)
+        })
+    })
+
+    it('should catch errors thrown by onerror', function (done) {
+      function log () {
+        throw new Error('tracker down')
+      }
+
+      request(createServer(new Error('boom!'), { onerror: log }))
+        .get('/')
+        .expect(500, done)
+    })
+
+    it('should wait for onerror with options.awaitOnerror', function (done) {
+      function log () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 10, 'report-42')
+        })
+      }
+
+      function render (context) {
+        return 'Report: ' + context.report
+      }
+
+      request(createServer(new Error('boom!'), { awaitOnerror: true, onerror: log, render: render }))
+        .get('/')
+        .expect(500, 'Report: report-42', done)
+    })
+
+    it('should send response when awaited onerror rejects', function (done) {
+      function log () {
+        return Promise.reject(new Error('tracker down'))
+      }
+
+      request(createServer(new Error('boom!'), { awaitOnerror: true, onerror: log }))
+        .get('/')
+        .expect(500, /<pre>Error: boom!/, done)
+    })
+
+    it('should send response when awaited onerror times out', function (done) {
+      function log () {
+        return new Promise(function () {})
+      }
+
+      function render (context) {
+        return 'Report: ' + context.report
+      }
+
+      request(createServer(new Error('boom!'), { awaitOnerror: 20, onerror: log, render: render }))
+        .get('/')
+        .expect(500, 'Report: undefined', done)
+    })
+
+    it('should reject invalid options.awaitOnerror', function () {
+      assert.throws(function () {
+        finalhandler({}, {}, { awaitOnerror: Infinity })
+      }, /option awaitOnerror must be a boolean or a number of milliseconds/)
+      assert.throws(function () {
+        finalhandler({}, {}, { awaitOnerror: '5s' })
+      }, /option awaitOnerror must be a boolean or a number of milliseconds/)
+    })
   })
 })